@@ -1,5 +1,8 @@
 const fs = require('fs');
 const path = require('path');
+const { createStorage } = require('./scripts/llm-integration/storage');
+const { buildStaticData } = require('./scripts/llm-integration/site-data');
+const { renderGamePage } = require('./scripts/llm-integration/game-page');
 
 async function copyDir(src, dest) {
   await fs.promises.mkdir(dest, { recursive: true });
@@ -14,6 +17,41 @@ async function copyDir(src, dest) {
   }
 }
 
+async function writeJson(file, data) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(file, JSON.stringify(data, null, 2));
+}
+
+// GitHub Pages has no API, so the page falls back to these files
+async function exportData(dataDir) {
+  const storage = createStorage();
+  if (!(await storage.connect())) {
+    console.warn('Storage unavailable; the static site will not include predictions');
+    return;
+  }
+
+  try {
+    const { slate, history, leaderboard, games } = await buildStaticData(storage);
+    await writeJson(path.join(dataDir, 'games.json'), slate);
+    for (const [gameId, gameHistory] of Object.entries(history)) {
+      await writeJson(path.join(dataDir, 'history', `${gameId}.json`), gameHistory);
+    }
+    await writeJson(path.join(dataDir, 'leaderboard.json'), leaderboard);
+    console.log(`Exported ${slate.games.length} games and the leaderboard to ${dataDir}`);
+
+    // One shareable page per game at games/<gameId>/
+    const siteUrl = process.env.SITE_URL || null;
+    for (const game of games) {
+      const file = path.join(dataDir, '..', 'games', game.gameId, 'index.html');
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, renderGamePage(game, { siteUrl }));
+    }
+    console.log(`Rendered ${games.length} game pages`);
+  } finally {
+    await storage.close();
+  }
+}
+
 async function build() {
   const outDir = path.join(__dirname, 'out');
   await fs.promises.rm(outDir, { recursive: true, force: true });
@@ -31,6 +69,8 @@ async function build() {
     await copyDir(publicSrc, path.join(outDir, 'public'));
   }
 
+  await exportData(path.join(outDir, 'data'));
+
   console.log('Static site built in', outDir);
 }
 
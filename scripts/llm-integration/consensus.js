@@ -0,0 +1,115 @@
+/**
+ * Consensus Predictions
+ *
+ * Combines the individual provider predictions for a game into one ensemble
+ * pick: a (optionally accuracy-weighted) majority vote on the winner, the
+ * average projected score and home win probability, and an agreement score.
+ * Baseline fallbacks and unparsed answers do not vote.
+ */
+
+const { PARSE_STATUS } = require('./prediction-parser');
+
+const CONSENSUS_SOURCE = { id: 'consensus', displayName: 'Consensus' };
+
+// Providers with fewer graded games than this get the neutral weight
+const MIN_WEIGHT_SAMPLE = 20;
+const NEUTRAL_WEIGHT = 0.5;
+
+/**
+ * Average a list of numbers
+ * @param {Array<number>} values - Numbers to average
+ * @returns {number|null} - Mean, or null for an empty list
+ */
+function mean(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+/**
+ * Round to one decimal place
+ * @param {number|null} value - Number to round
+ * @returns {number|null}
+ */
+function round1(value) {
+  return value == null ? null : Math.round(value * 10) / 10;
+}
+
+/**
+ * Derive vote weights from each provider's graded win-pick accuracy
+ * @param {Array} leaderboardProviders - providers array from buildLeaderboard()
+ * @param {number} minSample - Graded games needed before accuracy is trusted
+ * @returns {Object} - Map of provider id to weight
+ */
+function accuracyWeights(leaderboardProviders, minSample = MIN_WEIGHT_SAMPLE) {
+  const weights = {};
+  for (const row of leaderboardProviders) {
+    weights[row.provider] = row.sampleSize >= minSample && row.accuracy != null ? row.accuracy : NEUTRAL_WEIGHT;
+  }
+  return weights;
+}
+
+/**
+ * Build the consensus prediction for a game
+ * @param {Object} game - Game data object
+ * @param {Object} predictions - Structured predictions keyed by provider
+ * @param {Object} options - { weights } map of provider id to vote weight; equal weights when omitted
+ * @returns {Object|null} - Consensus prediction, or null when no model produced a usable pick
+ */
+function buildConsensus(game, predictions, { weights = null } = {}) {
+  const awayAbbr = game.awayTeam.abbreviation;
+  const homeAbbr = game.homeTeam.abbreviation;
+
+  const voters = Object.entries(predictions || {})
+    .filter(([id, p]) => id !== CONSENSUS_SOURCE.id && p && p.origin === 'model' &&
+      p.parseStatus === PARSE_STATUS.OK && p.winner);
+  if (!voters.length) return null;
+
+  const votes = { [awayAbbr]: 0, [homeAbbr]: 0 };
+  const weightedVotes = { [awayAbbr]: 0, [homeAbbr]: 0 };
+  for (const [id, p] of voters) {
+    votes[p.winner]++;
+    weightedVotes[p.winner] += weights ? (weights[id] ?? NEUTRAL_WEIGHT) : 1;
+  }
+
+  const awayRuns = mean(voters.map(([, p]) => p.awayRuns));
+  const homeRuns = mean(voters.map(([, p]) => p.homeRuns));
+  const probabilities = voters.map(([, p]) => p.homeWinProbability).filter(v => typeof v === 'number');
+  const homeWinProbability = mean(probabilities);
+
+  // A tied vote goes to the side favoured by the average score, then the average probability
+  let winner;
+  if (weightedVotes[homeAbbr] !== weightedVotes[awayAbbr]) {
+    winner = weightedVotes[homeAbbr] > weightedVotes[awayAbbr] ? homeAbbr : awayAbbr;
+  } else if (awayRuns !== homeRuns) {
+    winner = homeRuns > awayRuns ? homeAbbr : awayAbbr;
+  } else {
+    winner = homeWinProbability == null || homeWinProbability >= 0.5 ? homeAbbr : awayAbbr;
+  }
+
+  const agreement = votes[winner] / voters.length;
+  const split = votes[homeAbbr] === votes[awayAbbr];
+  const summary = `${votes[winner]} of ${voters.length} models pick ${winner}` +
+    (split ? ' (models split evenly)' : '') + (weights ? ', weighted by past accuracy' : '');
+
+  return {
+    winner,
+    awayRuns: round1(awayRuns),
+    homeRuns: round1(homeRuns),
+    homeWinProbability: homeWinProbability == null ? null : Math.round(homeWinProbability * 1000) / 1000,
+    rationale: summary,
+    rawText: `${game.awayTeam.name} - ${game.homeTeam.name}: ${round1(awayRuns)}-${round1(homeRuns)}\n${summary}.`,
+    parseStatus: PARSE_STATUS.OK,
+    origin: 'ensemble',
+    agreement,
+    split,
+    votes,
+    sources: voters.map(([id]) => id),
+    weighted: Boolean(weights),
+    generatedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  CONSENSUS_SOURCE,
+  accuracyWeights,
+  buildConsensus
+};
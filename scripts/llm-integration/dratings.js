@@ -0,0 +1,388 @@
+/**
+ * Dratings Predictor Page
+ *
+ * Parses the Dratings MLB predictor page into games, and turns the win
+ * probability and projected runs columns into a "dratings" prediction, a
+ * traditional statistical baseline graded alongside the LLMs.
+ *
+ * parseDratingsHtml() is a pure function of the page HTML so it can be tested
+ * against saved copies of the page (see test/fixtures). Columns are located by
+ * their header text rather than position. When the games table cannot be
+ * found it throws a DratingsLayoutError listing how the detected headers
+ * differ from the expected ones; when a row does not yield a valid game it
+ * throws a DratingsValidationError. Either way the caller can fall back to the
+ * Stats API and say why.
+ */
+
+const cheerio = require('cheerio');
+const { PARSE_STATUS } = require('./prediction-parser');
+const { findTeam, teamProfile } = require('./teams');
+const { assignGameIds } = require('./game-id');
+
+const DRATINGS_SOURCE = { id: 'dratings', displayName: 'Dratings' };
+
+// Columns the games table must have, matched case-insensitively
+const GAME_HEADERS = {
+  time: /^time/i,
+  teams: /^teams?$/i
+};
+
+// Header text of the forecast columns; without them games carry no forecast
+const FORECAST_HEADERS = {
+  win: /^win/i,
+  runs: /^(projected\s+)?runs$/i
+};
+
+// Header names as they appear on the page, for error messages
+const EXPECTED_HEADERS = { time: 'Time', teams: 'Teams', win: 'Win', runs: 'Runs' };
+
+// A team cannot have played more than a full season
+const MAX_GAMES_PLAYED = 162;
+
+/**
+ * Thrown when the page has no table with the columns the parser needs
+ */
+class DratingsLayoutError extends Error {
+  /**
+   * @param {Array<Array<String>>} tables - Header texts of every table on the page
+   */
+  constructor(tables) {
+    const closest = [...tables].sort((a, b) => countMatches(b) - countMatches(a))[0] || [];
+    const diff = diffHeaders(closest);
+    const lines = [
+      ...diff.missing.map(header => `- ${header}`),
+      ...diff.unexpected.map(header => `+ ${header}`)
+    ];
+    super(tables.length
+      ? 'Dratings layout changed: no table has Time and Teams columns. ' +
+        `Closest table headers differ by:\n${lines.join('\n')}`
+      : 'Dratings layout changed: the page has no tables');
+    this.name = 'DratingsLayoutError';
+    this.tables = tables;
+    this.missing = diff.missing;
+    this.unexpected = diff.unexpected;
+  }
+}
+
+/**
+ * Thrown when rows of the games table do not describe valid games
+ */
+class DratingsValidationError extends Error {
+  /**
+   * @param {Array<String>} problems - One message per invalid row
+   */
+  constructor(problems) {
+    super(`Dratings returned ${problems.length} invalid game row(s):\n${problems.join('\n')}`);
+    this.name = 'DratingsValidationError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Count how many of the expected columns a header row has
+ * @param {Array<String>} headers - Header texts of one table
+ * @returns {number}
+ */
+function countMatches(headers) {
+  const patterns = Object.values({ ...GAME_HEADERS, ...FORECAST_HEADERS });
+  return patterns.filter(pattern => headers.some(header => pattern.test(header))).length;
+}
+
+/**
+ * Compare a table's headers with the columns the parser reads
+ * @param {Array<String>} headers - Header texts of one table
+ * @returns {Object} - { missing, unexpected } header names
+ */
+function diffHeaders(headers) {
+  const patterns = { ...GAME_HEADERS, ...FORECAST_HEADERS };
+  return {
+    missing: Object.keys(patterns)
+      .filter(key => !headers.some(header => patterns[key].test(header)))
+      .map(key => EXPECTED_HEADERS[key]),
+    unexpected: headers.filter(header => !Object.values(patterns).some(pattern => pattern.test(header)))
+  };
+}
+
+/**
+ * Read the header texts of a table
+ * @param {Function} $ - Cheerio instance for the page
+ * @param {Object} table - Cheerio table element
+ * @returns {Array<String>} - Text of each cell of the first row
+ */
+function readHeaders($, table) {
+  return table.find('tr').first().find('th, td')
+    .map((index, cell) => $(cell).text().replace(/\s+/g, ' ').trim())
+    .get();
+}
+
+/**
+ * Find column indexes by header text
+ * @param {Array<String>} headers - Header texts of one table
+ * @param {Object} patterns - { key: RegExp }
+ * @returns {Object} - { key: index }, undefined when missing
+ */
+function findColumns(headers, patterns) {
+  const columns = {};
+  headers.forEach((header, index) => {
+    for (const [key, pattern] of Object.entries(patterns)) {
+      if (columns[key] === undefined && pattern.test(header)) {
+        columns[key] = index;
+      }
+    }
+  });
+  return columns;
+}
+
+/**
+ * Read the away and home values stacked in one table cell
+ * @param {Function} $ - Cheerio instance for the page
+ * @param {Object} cell - Cheerio cell element
+ * @param {RegExp} pattern - Global pattern for one value, first group is the number
+ * @returns {Array<number>|null} - [away, home] or null when two values are not found
+ */
+function readStackedValues($, cell, pattern) {
+  // Prefer the per-team child elements; their text runs together without them
+  const parts = cell.children().length >= 2
+    ? cell.children().map((i, el) => $(el).text()).get()
+    : [cell.text()];
+
+  const values = [];
+  for (const part of parts) {
+    for (const match of part.matchAll(pattern)) {
+      values.push(parseFloat(match[1]));
+    }
+  }
+  return values.length === 2 ? values : null;
+}
+
+/**
+ * Parse the Dratings forecast for one table row
+ * @param {Function} $ - Cheerio instance for the page
+ * @param {Object} cells - Cheerio td elements of the row
+ * @param {Object} columns - Column indexes by header, see findColumns()
+ * @returns {Object|null} - { awayWinProbability, homeWinProbability, awayRuns, homeRuns }
+ */
+function parseForecast($, cells, columns) {
+  if (columns.win === undefined || columns.runs === undefined) return null;
+
+  const win = readStackedValues($, $(cells[columns.win]), /(\d{1,3}(?:\.\d+)?)\s*%/g);
+  const runs = readStackedValues($, $(cells[columns.runs]), /(\d{1,2}\.\d{1,2})/g);
+  if (!win || !runs) return null;
+
+  return {
+    awayWinProbability: win[0] / 100,
+    homeWinProbability: win[1] / 100,
+    awayRuns: runs[0],
+    homeRuns: runs[1]
+  };
+}
+
+/**
+ * Convert a date and time on the Eastern clock to a UTC ISO string
+ * @param {String} month - Month, 1-12
+ * @param {String} day - Day of the month
+ * @param {String} year - Four digit year
+ * @param {String} hour - Hour, 1-12
+ * @param {String} minute - Minutes
+ * @param {String} ampm - "AM" or "PM"
+ * @returns {String} - ISO string in UTC
+ */
+function parseEasternTimeToISO(month, day, year, hour, minute, ampm) {
+  const midDay = new Date(Date.UTC(parseInt(year, 10), parseInt(month, 10) - 1, parseInt(day, 10), 12));
+  const tzName = midDay
+    .toLocaleString('en-US', { timeZone: 'America/New_York', timeZoneName: 'short' })
+    .split(' ')
+    .pop();
+  const offset = tzName === 'EDT' ? '-04:00' : '-05:00';
+  const d = new Date(`${month}/${day}/${year} ${hour}:${minute} ${ampm} ${offset}`);
+  return isNaN(d) ? null : d.toISOString();
+}
+
+/**
+ * Read the start time of a row, e.g. "06/01/2025 8:10 PM"
+ * @param {String} text - Text of the time cell
+ * @returns {String|null} - ISO string, noon Eastern when only the date is
+ *   listed, or null when no date can be read
+ */
+function parseGameTime(text) {
+  // The hour sometimes lacks a leading zero and the space before it
+  const match = text.match(/(\d{2})\/(\d{2})\/(\d{4})\s*(\d{1,2}):(\d{2})\s*([AP]M)/i);
+  if (match) {
+    return parseEasternTimeToISO(...match.slice(1));
+  }
+
+  // Start times still to be announced keep the game on its day
+  const date = text.match(/(\d{2})\/(\d{2})\/(\d{4})/);
+  return date ? parseEasternTimeToISO(date[1], date[2], date[3], '12', '00', 'PM') : null;
+}
+
+/**
+ * Read the two teams of a row, e.g. "Washington Nationals (28-30)Arizona Diamondbacks (27-31)"
+ * @param {String} text - Text of the teams cell
+ * @returns {Array<Object>|null} - [away, home] as { name, record }, or null
+ *   unless exactly two teams are listed
+ */
+function parseTeams(text) {
+  const teams = [...text.matchAll(/([^()]+?)\s*\(([^()]*)\)/g)]
+    .map(match => ({ name: match[1].trim(), record: match[2].trim() }));
+  return teams.length === 2 ? teams : null;
+}
+
+/**
+ * Check that a record is a plausible W-L
+ * @param {String} record - Record such as "28-30"
+ * @returns {boolean}
+ */
+function isPlausibleRecord(record) {
+  const match = /^(\d{1,3})-(\d{1,3})$/.exec(record);
+  return Boolean(match) && Number(match[1]) + Number(match[2]) <= MAX_GAMES_PLAYED;
+}
+
+/**
+ * Check a scraped game against the shape the rest of the pipeline expects
+ * @param {Object} game - Game parsed from the predictor table
+ * @returns {Array<String>} - Problems found; empty when the game is valid
+ */
+function validateGame(game) {
+  const problems = [];
+  if (typeof game.gameTime !== 'string' || isNaN(new Date(game.gameTime)) ||
+      new Date(game.gameTime).toISOString() !== game.gameTime) {
+    problems.push(`start time "${game.gameTime}" is not a valid ISO time`);
+  }
+  for (const side of ['awayTeam', 'homeTeam']) {
+    const team = game[side];
+    if (!findTeam(team.abbreviation)) {
+      problems.push(`unknown team "${team.name}"`);
+    }
+    if (!isPlausibleRecord(team.record)) {
+      problems.push(`${team.name} record "${team.record}" is not a plausible W-L`);
+    }
+  }
+  if (game.awayTeam.abbreviation && game.awayTeam.abbreviation === game.homeTeam.abbreviation) {
+    problems.push(`${game.homeTeam.name} cannot play itself`);
+  }
+  return problems;
+}
+
+/**
+ * Build a game from one row of the predictor table
+ * @param {Function} $ - Cheerio instance for the page
+ * @param {Object} cells - Cheerio td elements of the row
+ * @param {Object} columns - Column indexes for time, teams, win and runs
+ * @returns {Object} - { game, problems }; game is null when the row cannot be read
+ */
+function parseRow($, cells, columns) {
+  const timeText = $(cells[columns.time]).text().replace(/\s+/g, ' ').trim();
+  const teamsText = $(cells[columns.teams]).text().replace(/\s+/g, ' ').trim();
+
+  const gameTime = parseGameTime(timeText);
+  const teams = parseTeams(teamsText);
+  if (!teams) {
+    return { game: null, problems: [`expected two teams with records, found "${teamsText}"`] };
+  }
+
+  // Unknown names are kept as written so validation can report them
+  const season = gameTime ? new Date(gameTime).getUTCFullYear() : null;
+  const [away, home] = teams.map(({ name, record }) => {
+    const team = findTeam(name);
+    const profile = team ? teamProfile(team, season) : { name, abbreviation: null, logo: null, venue: null };
+    return { profile, team: { name: profile.name, abbreviation: profile.abbreviation, logo: profile.logo, record } };
+  });
+
+  const game = {
+    homeTeam: home.team,
+    awayTeam: away.team,
+    gameTime: gameTime || timeText,
+    venue: home.profile.venue,
+    dratings: parseForecast($, cells, columns)
+  };
+  return { game, problems: validateGame(game) };
+}
+
+/**
+ * Parse the games on the Dratings MLB predictor page
+ * @param {String} html - Page HTML
+ * @returns {Object} - { games, headers, warnings }; games have IDs assigned
+ * @throws {DratingsLayoutError} - When no table has the time and teams columns
+ * @throws {DratingsValidationError} - When any row is not a valid game
+ */
+function parseDratingsHtml(html) {
+  const $ = cheerio.load(html);
+  const tables = $('table').toArray().map(table => $(table));
+  const tableHeaders = tables.map(table => readHeaders($, table));
+
+  // The upcoming games table is the first one with time and teams columns
+  const tableIndex = tableHeaders.findIndex(headers => {
+    const columns = findColumns(headers, GAME_HEADERS);
+    return columns.time !== undefined && columns.teams !== undefined;
+  });
+  if (tableIndex === -1) {
+    throw new DratingsLayoutError(tableHeaders);
+  }
+
+  const headers = tableHeaders[tableIndex];
+  const columns = findColumns(headers, { ...GAME_HEADERS, ...FORECAST_HEADERS });
+  const warnings = [];
+  if (columns.win === undefined || columns.runs === undefined) {
+    warnings.push(`Dratings ${diffHeaders(headers).missing.join(' and ')} column(s) not found; skipping Dratings forecasts`);
+  }
+
+  const games = [];
+  const problems = [];
+  tables[tableIndex].find('tr').slice(1).each((rowIndex, row) => {
+    const cells = $(row).find('td');
+    // Section headings and ads span the table in a single cell
+    if (cells.length <= Math.max(columns.time, columns.teams)) return;
+
+    const parsed = parseRow($, cells, columns);
+    if (parsed.problems.length) {
+      problems.push(...parsed.problems.map(problem => `Row ${rowIndex + 1}: ${problem}`));
+    } else {
+      games.push(parsed.game);
+    }
+  });
+
+  if (problems.length) {
+    throw new DratingsValidationError(problems);
+  }
+
+  // Dratings does not number doubleheaders, so derive IDs from date and start order
+  return { games: assignGameIds(games), headers, warnings };
+}
+
+/**
+ * Build the Dratings prediction for a scraped game
+ * @param {Object} game - Game data object with a dratings forecast
+ * @returns {Object|null} - Structured prediction, or null without a forecast
+ */
+function buildDratingsPrediction(game) {
+  const forecast = game.dratings;
+  if (!forecast) return null;
+
+  const homeFavored = forecast.homeWinProbability >= forecast.awayWinProbability;
+  const favorite = homeFavored ? game.homeTeam : game.awayTeam;
+  const percent = Math.round(forecast.homeWinProbability * 1000) / 10;
+  const rationale = `Dratings projects ${favorite.name} to win.`;
+
+  return {
+    winner: favorite.abbreviation,
+    awayRuns: forecast.awayRuns,
+    homeRuns: forecast.homeRuns,
+    homeWinProbability: forecast.homeWinProbability,
+    rationale,
+    rawText: `${game.awayTeam.name} - ${game.homeTeam.name}: ${forecast.awayRuns}-${forecast.homeRuns}\n` +
+      `${game.homeTeam.name} win probability: ${percent}%\n${rationale}`,
+    parseStatus: PARSE_STATUS.OK,
+    origin: 'statistical',
+    generatedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  DRATINGS_SOURCE,
+  DratingsLayoutError,
+  DratingsValidationError,
+  parseDratingsHtml,
+  validateGame,
+  buildDratingsPrediction
+};
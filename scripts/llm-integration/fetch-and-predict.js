@@ -2,18 +2,44 @@
  * Main script to fetch MLB game data and generate LLM predictions
  * 
  * This script:
- * 1. Fetches real MLB game data from Dratings.com
- * 2. Generates predictions using multiple LLM providers
- * 3. Stores predictions in MongoDB
- * 4. Updates the static data file with the latest predictions
+ * 1. Fetches real MLB game data and forecasts from Dratings.com and matchup context from the MLB Stats API
+ * 2. Generates predictions using multiple LLM providers and combines them into a consensus pick
+ * 3. Stores predictions in MongoDB or local files, continuing past games that fail
+ * 4. Updates the game cards in index.html (the site itself reads predictions from the API or the build's data export)
+ *
+ * Flags: --dry-run, --date YYYY-MM-DD, --game <id>, --providers openai,grok,
+ * --no-html, --no-db, --source dratings|statsapi, and either --prompt <template>
+ * or --experiment <config.json> to pick prompt templates (see
+ * prompt-experiment.js), and --max-spend <usd> to stop before a game that
+ * could take the run over that budget. --concurrency <n> sets how many games
+ * are predicted at once (default 4, 1 for one at a time); provider requests
+ * are paced and circuit-broken per provider by request-scheduler.js.
+ * Providers whose input for a game is unchanged since their stored prediction
+ * are not asked again unless --force is passed or the prediction is older than
+ * --max-age <hours> (default 24); the stored pick is kept and marked as
+ * confirmed by the run. A JSON run report, including token usage and cost, is
+ * printed at the end and stored in the runs collection.
  */
 
 const axios = require('axios');
 const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
 const LLMPredictionService = require('./llm-prediction-service');
-const MongoDBService = require('./mongodb-service');
+const { createStorage } = require('./storage');
+const GameContextBuilder = require('./game-context');
+const { getProviderIds } = require('./providers');
+const { parsePrediction, normalizeStoredPrediction, predictionsToMerge, PARSE_STATUS } = require('./prediction-parser');
+const { toEasternDateString, fetchScheduleGames, resolveTeam } = require('./mlb-stats-api');
+const { buildGameId } = require('./game-id');
+const { CONSENSUS_SOURCE, accuracyWeights, buildConsensus } = require('./consensus');
+const { DRATINGS_SOURCE, parseDratingsHtml, buildDratingsPrediction } = require('./dratings');
+const { buildLeaderboard } = require('./leaderboard');
+const { getTemplate } = require('./prompt-templates');
+const { loadExperiment, assignPrompt } = require('./prompt-experiment');
+const { sumUsage, sumUsageByProvider, fitsSpendCap } = require('./usage');
+const { DEFAULT_MAX_AGE_HOURS, canReusePrediction } = require('./prediction-cache');
 require('dotenv').config();
 
 // Constants
@@ -22,141 +48,66 @@ const STATIC_DATA_PATH = process.env.GITHUB_WORKSPACE ?
   path.join(process.env.GITHUB_WORKSPACE, 'index.html') : 
   path.join(__dirname, '../../index.html');
 
+// Where the slate can come from, selected with --source
+const GAME_SOURCES = ['dratings', 'statsapi'];
+
+// Fallback reasons that mean the provider call itself failed, or returned an unusable answer
+const FAILED_CALL_REASONS = ['request_failed', 'circuit_open', 'no_response', 'truncated', 'invalid_output'];
+
+// Command line flags; see parseCliArgs()
+const CLI_OPTIONS = {
+  'dry-run': { type: 'boolean', default: false },
+  date: { type: 'string' },
+  game: { type: 'string' },
+  providers: { type: 'string' },
+  'no-html': { type: 'boolean', default: false },
+  'no-db': { type: 'boolean', default: false },
+  source: { type: 'string' },
+  prompt: { type: 'string' },
+  experiment: { type: 'string' },
+  'max-spend': { type: 'string' },
+  concurrency: { type: 'string' },
+  force: { type: 'boolean', default: false },
+  'max-age': { type: 'string' }
+};
+
+// Games predicted at the same time unless --concurrency says otherwise
+const DEFAULT_CONCURRENCY = 4;
+
+
 // Log the path being used
 console.log(`Using index.html path: ${STATIC_DATA_PATH}`);
 
 // Initialize services
 const llmService = new LLMPredictionService();
-const mongoService = new MongoDBService();
+const storage = createStorage();
 
 // Helper functions
-function parseTeamName(name) {
-  // Map of team abbreviations
-  const teamAbbreviations = {
-    'Arizona': 'ARI',
-    'Arizona Diamondbacks': 'ARI',
-    "Arizona D'Backs": 'ARI',
-    'Arizona D-backs': 'ARI',
-    'Atlanta': 'ATL',
-    'Atlanta Braves': 'ATL',
-    'Baltimore': 'BAL',
-    'Baltimore Orioles': 'BAL',
-    'Boston': 'BOS',
-    'Boston Red Sox': 'BOS',
-    'Chicago Cubs': 'CHC',
-    'Chicago White Sox': 'CWS',
-    'Chi White Sox': 'CWS',
-    'Cincinnati': 'CIN',
-    'Cincinnati Reds': 'CIN',
-    'Cleveland': 'CLE',
-    'Cleveland Guardians': 'CLE',
-    'Colorado': 'COL',
-    'Colorado Rockies': 'COL',
-    'Detroit': 'DET',
-    'Detroit Tigers': 'DET',
-    'Houston': 'HOU',
-    'Houston Astros': 'HOU',
-    'Kansas City': 'KC',
-    'Kansas City Royals': 'KC',
-    'Los Angeles Angels': 'LAA',
-    'LA Angels': 'LAA',
-    'Los Angeles Dodgers': 'LAD',
-    'LA Dodgers': 'LAD',
-    'Miami': 'MIA',
-    'Miami Marlins': 'MIA',
-    'Milwaukee': 'MIL',
-    'Milwaukee Brewers': 'MIL',
-    'Minnesota': 'MIN',
-    'Minnesota Twins': 'MIN',
-    'New York Mets': 'NYM',
-    'New York Yankees': 'NYY',
-    'Oakland': 'OAK',
-    'Oakland Athletics': 'OAK',
-    'Philadelphia': 'PHI',
-    'Philadelphia Phillies': 'PHI',
-    'Pittsburgh': 'PIT',
-    'Pittsburgh Pirates': 'PIT',
-    'San Diego': 'SD',
-    'San Diego Padres': 'SD',
-    'San Francisco': 'SF',
-    'San Francisco Giants': 'SF',
-    'Seattle': 'SEA',
-    'Seattle Mariners': 'SEA',
-    'St. Louis': 'STL',
-    'St. Louis Cardinals': 'STL',
-    'Tampa Bay': 'TB',
-    'Tampa Bay Rays': 'TB',
-    'Texas': 'TEX',
-    'Texas Rangers': 'TEX',
-    'Toronto': 'TOR',
-    'Toronto Blue Jays': 'TOR',
-    'Washington': 'WSH',
-    'Washington Nationals': 'WSH'
-  };
 
-  // Check for exact match first
-  if (teamAbbreviations[name]) {
-    return {
-      fullName: name,
-      abbreviation: teamAbbreviations[name]
-    };
-  }
-
-  // If no exact match, try to find a partial match
-  for (const [key, value] of Object.entries(teamAbbreviations)) {
-    if (name.includes(key)) {
-      return {
-        fullName: key,
-        abbreviation: value
-      };
-    }
-  }
-
-  // If no match found, return default
-  return {
-    fullName: name,
-    abbreviation: name.substring(0, 3).toUpperCase()
-  };
-}
-
-// Parse a date/time string in Eastern Time and return ISO string in UTC
-function parseEasternTimeToISO(month, day, year, hour, minute, ampm) {
-  const midDay = new Date(Date.UTC(parseInt(year, 10), parseInt(month, 10) - 1, parseInt(day, 10), 12));
-  const tzName = midDay
-    .toLocaleString('en-US', { timeZone: 'America/New_York', timeZoneName: 'short' })
-    .split(' ') 
-    .pop();
-  const offset = tzName === 'EDT' ? '-04:00' : '-05:00';
-  const dateStr = `${month}/${day}/${year} ${hour}:${minute} ${ampm} ${offset}`;
-  const d = new Date(dateStr);
-  return d.toISOString();
-}
 // Fetch schedule data from MLB Stats API as a fallback when Dratings scraping fails
 async function fetchStatsApiSchedule(date = new Date()) {
-  const eastern = new Date(date.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-  const dateStr = eastern.toISOString().split('T')[0];
+  const dateStr = typeof date === 'string' ? date : toEasternDateString(date);
 
-  const teamRes = await axios.get('https://statsapi.mlb.com/api/v1/teams?sportId=1');
-  const teamMap = {};
-  for (const t of teamRes.data.teams || []) {
-    teamMap[t.id] = { name: t.name, abbr: t.abbreviation || t.teamCode.toUpperCase() };
-  }
-
-  const url = `https://statsapi.mlb.com/api/v1/schedule?sportId=1&date=${dateStr}`;
-  const res = await axios.get(url);
+  const season = parseInt(dateStr.slice(0, 4), 10);
+  const scheduleGames = await fetchScheduleGames(dateStr);
   const games = [];
-  const dateData = res.data.dates[0];
-  if (!dateData) return games;
 
-  for (const g of dateData.games) {
-    const homeInfo = teamMap[g.teams.home.team.id] || { name: g.teams.home.team.name, abbr: g.teams.home.team.name.slice(0,3).toUpperCase() };
-    const awayInfo = teamMap[g.teams.away.team.id] || { name: g.teams.away.team.name, abbr: g.teams.away.team.name.slice(0,3).toUpperCase() };
+  for (const g of scheduleGames) {
+    const homeInfo = resolveTeam(g.teams.home, season);
+    const awayInfo = resolveTeam(g.teams.away, season);
     const homeRecord = g.teams.home.leagueRecord ? `${g.teams.home.leagueRecord.wins}-${g.teams.home.leagueRecord.losses}` : '';
     const awayRecord = g.teams.away.leagueRecord ? `${g.teams.away.leagueRecord.wins}-${g.teams.away.leagueRecord.losses}` : '';
     games.push({
-      id: `${awayInfo.abbr.toLowerCase()}-${homeInfo.abbr.toLowerCase()}`,
-      homeTeam: { name: homeInfo.name, abbreviation: homeInfo.abbr, logo: `/team-logos/${homeInfo.abbr.toLowerCase()}_logo.svg`, record: homeRecord },
-      awayTeam: { name: awayInfo.name, abbreviation: awayInfo.abbr, logo: `/team-logos/${awayInfo.abbr.toLowerCase()}_logo.svg`, record: awayRecord },
+      id: buildGameId({
+        date: g.officialDate || toEasternDateString(g.gameDate),
+        awayAbbr: awayInfo.abbreviation,
+        homeAbbr: homeInfo.abbreviation,
+        gameNumber: g.gameNumber || 1
+      }),
+      gamePk: g.gamePk,
+      gameNumber: g.gameNumber || 1,
+      homeTeam: { name: homeInfo.name, abbreviation: homeInfo.abbreviation, logo: homeInfo.logo, record: homeRecord },
+      awayTeam: { name: awayInfo.name, abbreviation: awayInfo.abbreviation, logo: awayInfo.logo, record: awayRecord },
       gameTime: g.gameDate,
       venue: g.venue.name
     });
@@ -165,151 +116,63 @@ async function fetchStatsApiSchedule(date = new Date()) {
   return games;
 }
 
-// Save HTML for debugging
+// Save the page that failed to parse, for comparing against the test fixtures
 function saveHtmlForDebugging(html) {
   const debugPath = path.join(__dirname, 'dratings_debug.html');
   fs.writeFileSync(debugPath, html);
   console.log(`Saved HTML for debugging to ${debugPath}`);
 }
 
-// Main scraper function with fixed selectors based on debug output
-async function scrapeMLBData() {
+// Fetch the Dratings predictor page and parse its games (see dratings.js)
+async function scrapeMLBData({ fallback = true, saveDebug = true } = {}) {
   console.log('Fetching MLB data from Dratings.com...');
-  
+  let html = null;
+
   try {
-    // Fetch the HTML content
     const response = await axios.get(DATA_SOURCE_URL);
-    const html = response.data;
-    
-    // Save HTML for debugging
-    saveHtmlForDebugging(html);
-    
-    // Load HTML into cheerio
-    const $ = cheerio.load(html);
-    
-    // Based on the debug output, we can see that Table 0 contains the upcoming games
-    // with the correct format for June 1, 2025
-    const games = [];
-    const tables = $('table');
-    
-    if (tables.length > 0) {
-      const upcomingTable = $(tables[0]);
-      const rows = upcomingTable.find('tr').slice(1); // Skip header row
-      
-      rows.each((rowIndex, row) => {
-        const cells = $(row).find('td');
-        
-        if (cells.length >= 2) {
-          // Extract date and time
-          const timeCell = $(cells[0]);
-          const timeText = timeCell.text().trim();
-          
-          // Extract teams
-          const teamsCell = $(cells[1]);
-          const teamsText = teamsCell.text().trim();
-          
-          console.log(`Processing row ${rowIndex}:`);
-          console.log(`  Time: ${timeText}`);
-          console.log(`  Teams: ${teamsText}`);
-          
-          // Parse date and time. Formats on Dratings sometimes omit a leading zero
-          // for the hour (e.g. "06/01/2025 8:10 PM"). Allow 1-2 digits for the
-          // hour and optional whitespace between the date and time.
-          const dateMatch = timeText.match(/(\d{2})\/(\d{2})\/(\d{4})\s*(\d{1,2}):(\d{2})\s*([AP]M)/i);
-          let gameTime = '';
-
-          if (dateMatch) {
-            const month = dateMatch[1];
-            const day = dateMatch[2];
-            const year = dateMatch[3];
-            const hour = dateMatch[4];
-            const minute = dateMatch[5];
-            const ampm = dateMatch[6];
-
-            // Convert to ISO string using Eastern Time offset
-            gameTime = parseEasternTimeToISO(month, day, year, hour, minute, ampm);
-            console.log(`  Parsed time: ${gameTime}`);
-          } else {
-            console.warn(`  Failed to parse time string "${timeText}", using noon ET as fallback`);
-            // Fallback to noon Eastern on the reported day to avoid invalid dates
-            const parts = timeText.match(/(\d{2})\/(\d{2})\/(\d{4})/);
-            if (parts) {
-              gameTime = parseEasternTimeToISO(parts[1], parts[2], parts[3], '12', '00', 'PM');
-            } else {
-              // Absolute fallback if even the date could not be parsed
-              gameTime = new Date().toISOString();
-            }
-          }
-          
-          // Parse teams (format: "Washington Nationals (28-30)Arizona Diamondbacks (27-31)")
-          // Split by record pattern to separate teams
-          const teamParts = teamsText.split(/\(\d+-\d+\)/);
-          
-          if (teamParts.length >= 2) {
-            // First part is away team name
-            const awayTeamName = teamParts[0].trim();
-            
-            // Second part is home team name (may need to remove leading/trailing spaces)
-            const homeTeamName = teamParts[1].trim();
-            
-            // Extract records
-            const awayRecordMatch = teamsText.match(/(\d+-\d+)/);
-            const homeRecordMatch = teamsText.match(/(\d+-\d+)(?!.*\d+-\d+)/); // Last occurrence
-            
-            const awayRecord = awayRecordMatch ? awayRecordMatch[1] : '';
-            const homeRecord = homeRecordMatch ? homeRecordMatch[1] : '';
-            
-            console.log(`  Away team: ${awayTeamName} (${awayRecord})`);
-            console.log(`  Home team: ${homeTeamName} (${homeRecord})`);
-            
-            // Parse team info
-            const awayTeam = parseTeamName(awayTeamName);
-            const homeTeam = parseTeamName(homeTeamName);
-            
-            // Create game object
-            const slug = `${awayTeam.abbreviation.toLowerCase()}-${homeTeam.abbreviation.toLowerCase()}`;
-            const game = {
-              id: slug,
-              homeTeam: {
-                name: homeTeam.fullName,
-                abbreviation: homeTeam.abbreviation,
-                logo: `/team-logos/${homeTeam.abbreviation.toLowerCase()}_logo.svg`,
-                record: homeRecord
-              },
-              awayTeam: {
-                name: awayTeam.fullName,
-                abbreviation: awayTeam.abbreviation,
-                logo: `/team-logos/${awayTeam.abbreviation.toLowerCase()}_logo.svg`,
-                record: awayRecord
-              },
-              gameTime: gameTime,
-              venue: `${homeTeam.fullName} Stadium`
-            };
-            
-            games.push(game);
-          }
-        }
-      });
-    }
-    
+    html = response.data;
+
+    const { games, warnings } = parseDratingsHtml(html);
+    warnings.forEach(warning => console.warn(warning));
+
     // If no games were scraped, return an empty array
     if (games.length === 0) {
       console.warn("No games found when scraping Dratings.");
-      return await fetchStatsApiSchedule();
+      return fallback ? await fetchStatsApiSchedule() : [];
     }
-    
+
     console.log(`Found ${games.length} upcoming MLB games`);
     return games;
   } catch (error) {
-    console.error('Error scraping MLB data:', error);
-    
+    console.error(`Error scraping MLB data: ${error.message}`);
+    if (html && saveDebug) {
+      saveHtmlForDebugging(html);
+    }
+
     // Scraping failed so no games could be updated
+    if (!fallback) {
+      throw error;
+    }
     console.warn("Failed to scrape Dratings; falling back to MLB Stats API.");
-      return await fetchStatsApiSchedule();
+    return await fetchStatsApiSchedule();
+  }
+}
+
+// Attach Stats API matchup context to each game; games keep a null context if it cannot be built
+async function addGameContext(games) {
+  const contextBuilder = new GameContextBuilder();
+  for (const game of games) {
+    try {
+      game.context = await contextBuilder.build(game);
+      if (!game.gamePk) game.gamePk = game.context.gamePk;
+    } catch (error) {
+      console.warn(`Could not build context for game ${game.id}:`, error.message);
+      game.context = null;
+    }
   }
 }
 
-// Update the HTML file with new predictions
+// Refresh the game cards in index.html; predictions are loaded by the page from the API or the build's data export
 async function updateHtmlWithPredictions(games) {
   try {
     // Read the current HTML file
@@ -329,30 +192,22 @@ async function updateHtmlWithPredictions(games) {
     
     // Build game data object for the page
     const gamesObj = {};
-    const predictionsObj = {};
 
     for (const game of games) {
-      const { id, homeTeam, awayTeam, gameTime, venue, predictions } = game;
+      const { id, homeTeam, awayTeam, gameTime, venue } = game;
 
       const date = new Date(gameTime);
       const dateStr = date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
       const timeStr = date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: true, timeZone: 'America/New_York' }) + ' EDT';
 
       gamesObj[id] = {
-        away: { team: awayTeam.name, abbr: awayTeam.abbreviation, record: awayTeam.record },
-        home: { team: homeTeam.name, abbr: homeTeam.abbreviation, record: homeTeam.record },
+        away: { team: awayTeam.name, abbr: awayTeam.abbreviation, logo: awayTeam.logo, record: awayTeam.record },
+        home: { team: homeTeam.name, abbr: homeTeam.abbreviation, logo: homeTeam.logo, record: homeTeam.record },
         time: timeStr,
         date: dateStr,
         venue,
         iso: gameTime
       };
-
-      predictionsObj[id] = [
-        { source: 'OpenAI', text: predictions.openai },
-        { source: 'Anthropic', text: predictions.anthropic },
-        { source: 'Grok', text: predictions.grok },
-        { source: 'DeepSeek', text: predictions.deepseek }
-      ];
     }
 
     // Update the game card markup in the HTML
@@ -366,7 +221,7 @@ async function updateHtmlWithPredictions(games) {
             <div class="game-header">
                 <div class="team">
                     <div class="team-logo">
-                        <img src="team-logos/${game.away.abbr.toLowerCase()}_logo.svg" alt="${game.away.team} logo" class="team-logo">
+                        <img src="${game.away.logo.replace(/^\//, '')}" alt="${game.away.team} logo" class="team-logo">
                     </div>
                     <div class="team-abbr">${game.away.abbr}</div>
                     <div class="team-record">${game.away.record}</div>
@@ -374,7 +229,7 @@ async function updateHtmlWithPredictions(games) {
                 <div class="vs">vs</div>
                 <div class="team">
                     <div class="team-logo">
-                        <img src="team-logos/${game.home.abbr.toLowerCase()}_logo.svg" alt="${game.home.team} logo" class="team-logo">
+                        <img src="${game.home.logo.replace(/^\//, '')}" alt="${game.home.team} logo" class="team-logo">
                     </div>
                     <div class="team-abbr">${game.home.abbr}</div>
                     <div class="team-record">${game.home.record}</div>
@@ -395,14 +250,6 @@ async function updateHtmlWithPredictions(games) {
       updatedHtml = $.html();
     }
 
-    // Replace game data
-    const gamesPattern = /const GAMES = [^;]*;/s;
-    updatedHtml = updatedHtml.replace(gamesPattern, `const GAMES = ${JSON.stringify(gamesObj, null, 4)};`);
-
-    // Replace fallback predictions
-    const predPattern = /const FALLBACK_PREDICTIONS = [^;]*;/s;
-    updatedHtml = updatedHtml.replace(predPattern, `const FALLBACK_PREDICTIONS = ${JSON.stringify(predictionsObj, null, 4)};`);
-    
     // Write the updated HTML back to the file
     fs.writeFileSync(STATIC_DATA_PATH, updatedHtml);
     console.log('Updated HTML with new predictions');
@@ -414,95 +261,491 @@ async function updateHtmlWithPredictions(games) {
   }
 }
 
+/**
+ * Parse and validate the command line flags
+ * @param {Array<String>} argv - Arguments after the script name
+ * @returns {Object} - Run options
+ */
+function parseCliArgs(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({ args: argv, options: CLI_OPTIONS, strict: true });
+
+  if (values.date && !/^\d{4}-\d{2}-\d{2}$/.test(values.date)) {
+    throw new Error('--date must use the YYYY-MM-DD format');
+  }
+  if (values.source && !GAME_SOURCES.includes(values.source)) {
+    throw new Error(`--source must be one of: ${GAME_SOURCES.join(', ')}`);
+  }
+
+  let providers = null;
+  if (values.providers) {
+    providers = values.providers.split(',').map(id => id.trim()).filter(Boolean);
+    const unknown = providers.filter(id => !getProviderIds().includes(id));
+    if (unknown.length) {
+      throw new Error(`Unknown provider(s): ${unknown.join(', ')}. Registered providers: ${getProviderIds().join(', ')}`);
+    }
+  }
+
+  if (values.prompt && values.experiment) {
+    throw new Error('--prompt and --experiment cannot be combined; list the template in the experiment instead');
+  }
+  // Both throw for unknown templates, and the experiment for unknown providers,
+  // before any provider is called
+  const prompt = values.prompt ? getTemplate(values.prompt).id : null;
+  const experiment = values.experiment ? loadExperiment(values.experiment, getProviderIds()) : null;
+
+  // The flag wins over LLM_SPEND_CAP_USD; an empty value means no cap
+  const spendCapInput = values['max-spend'] ?? process.env.LLM_SPEND_CAP_USD;
+  const maxSpendUsd = spendCapInput ? Number(spendCapInput) : null;
+  if (maxSpendUsd !== null && !(maxSpendUsd >= 0)) {
+    throw new Error('--max-spend must be a non-negative amount in USD');
+  }
+
+  const concurrency = values.concurrency === undefined ? DEFAULT_CONCURRENCY : Number(values.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error('--concurrency must be a whole number of games, 1 or more');
+  }
+
+  const maxAgeInput = values['max-age'] ?? process.env.PREDICTION_MAX_AGE_HOURS;
+  const maxAgeHours = maxAgeInput ? Number(maxAgeInput) : DEFAULT_MAX_AGE_HOURS;
+  if (!(maxAgeHours >= 0)) {
+    throw new Error('--max-age must be a non-negative number of hours');
+  }
+
+  // Date-based game IDs carry their date, so --game alone finds the right slate
+  const gameDate = values.game ? (values.game.match(/^\d{4}-\d{2}-\d{2}/) || [])[0] : undefined;
+
+  return {
+    dryRun: values['dry-run'],
+    date: values.date || gameDate || null,
+    game: values.game || null,
+    providers,
+    source: values.source || null,
+    prompt,
+    experiment,
+    maxSpendUsd,
+    concurrency,
+    force: values.force,
+    maxAgeHours,
+    writeDb: !values['dry-run'] && !values['no-db'],
+    writeHtml: !values['dry-run'] && !values['no-html']
+  };
+}
+
+/**
+ * Load the slate from the requested source
+ * @param {Object} options - Run options from parseCliArgs()
+ * @param {Object} report - Run report; sourceFallback is set to why Dratings
+ *   was passed over for the Stats API
+ * @returns {Promise<Object>} - { source, games }
+ */
+async function loadGames({ source, date, dryRun }, report) {
+  if (source !== 'statsapi') {
+    try {
+      let games = await scrapeMLBData({ fallback: false, saveDebug: !dryRun });
+      if (date) {
+        games = games.filter(g => toEasternDateString(g.gameTime) === date);
+      }
+      if (games.length || source === 'dratings') {
+        return { source: 'dratings', games };
+      }
+      const message = `Dratings listed no games${date ? ` on ${date}` : ''}`;
+      console.warn(`${message}; falling back to MLB Stats API.`);
+      report.sourceFallback = { reason: 'no_games', message };
+    } catch (error) {
+      if (source === 'dratings') throw error;
+      console.warn('Failed to scrape Dratings; falling back to MLB Stats API.');
+      report.sourceFallback = { reason: error.name === 'Error' ? 'scrape_failed' : error.name, message: error.message };
+    }
+  }
+
+  return { source: 'statsapi', games: await fetchStatsApiSchedule(date || new Date()) };
+}
+
+/**
+ * Count successes, reused picks, fallbacks and errors per provider over a
+ * run's games. Reused picks are stored predictions confirmed without a call;
+ * fallbacks are baselines used because a provider is not configured; errors
+ * are calls that failed and were replaced by a baseline.
+ * @param {Array} games - Per-game entries of the run report
+ * @returns {Object} - { provider: { successes, reused, fallbacks, errors } }
+ */
+function tallyProviders(games) {
+  const providers = {};
+  for (const game of games) {
+    for (const [provider, p] of Object.entries(game.predictions)) {
+      const tally = providers[provider] = providers[provider] || { successes: 0, reused: 0, fallbacks: 0, errors: 0 };
+      if (p.reused) tally.reused++;
+      else if (p.origin === 'model') tally.successes++;
+      else if (FAILED_CALL_REASONS.includes(p.fallbackReason)) tally.errors++;
+      else tally.fallbacks++;
+    }
+  }
+  return providers;
+}
+
+/**
+ * Complete the run report and print it
+ * @param {Object} report - Run report built by main()
+ * @returns {Object} - The completed report
+ */
+function finishRunReport(report) {
+  report.finishedAt = new Date().toISOString();
+  report.gamesProcessed = report.games.length;
+  report.gamesFailed = report.games.filter(g => g.error).length;
+  report.providers = tallyProviders(report.games);
+  report.usage = { ...sumUsage(report.games.map(g => g.usage)), providers: sumUsageByProvider(report.games) };
+  if (report.spendCap) {
+    report.spendCap.spentUsd = report.usage.costUsd;
+  }
+  report.scheduler = llmService.scheduler.summary();
+  if (report.error || (report.gamesProcessed && report.gamesFailed === report.gamesProcessed)) {
+    report.status = 'failed';
+  } else {
+    report.status = report.gamesFailed || report.spendCap?.stopped ? 'partial' : 'success';
+  }
+
+  console.log('Run summary:');
+  console.log(JSON.stringify(report, null, 2));
+  return report;
+}
+
+/**
+ * Store the run report, logging rather than failing when it cannot be saved
+ * @param {Object} report - Completed run report
+ */
+async function storeRunReport(report) {
+  const result = await storage.storeRunReport(report);
+  if (result.success) {
+    console.log('Stored run report in storage');
+  } else {
+    console.warn(`Failed to store run report in storage: ${result.error}`);
+  }
+}
+
+/**
+ * Work out which providers need to be asked about a game. A provider is
+ * skipped when its stored prediction can be reused (see prediction-cache.js);
+ * --force asks them all.
+ * @param {Object} game - Game data object, with its context
+ * @param {Object} run - { options, providerIds, promptFor, storageConnected }
+ * @returns {Promise<Object>} - { existing, inputHashes, reuse, query }: the stored game document or null,
+ *   each provider's input hash, the stored predictions to reuse keyed by provider, and the providers to ask
+ */
+async function planGame(game, { options, providerIds, promptFor, storageConnected }) {
+  const inputHashes = llmService.inputHashes(game, providerIds, promptFor);
+  let existing = null;
+  if (storageConnected) {
+    try {
+      existing = await storage.getPredictions(game.id);
+    } catch (error) {
+      console.warn(`Could not load stored predictions for game ${game.id}:`, error.message);
+    }
+  }
+
+  const reuse = {};
+  const now = Date.now();
+  for (const providerId of providerIds) {
+    const stored = existing?.predictions?.[providerId];
+    if (canReusePrediction(stored, inputHashes[providerId], { force: options.force, maxAgeHours: options.maxAgeHours, now })) {
+      reuse[providerId] = stored;
+    }
+  }
+
+  return { existing, inputHashes, reuse, query: providerIds.filter(id => !reuse[id]) };
+}
+
+/**
+ * Generate, combine and store the predictions for one game. Failures are
+ * recorded in the game's report entry rather than thrown.
+ * @param {Object} game - Game data object
+ * @param {Object} gameReport - The game's entry in the run report
+ * @param {Object} plan - Which providers to ask, from planGame()
+ * @param {Object} run - { options, promptFor, storageConnected, consensusWeights }
+ */
+async function predictGame(game, gameReport, plan, { options, promptFor, storageConnected, consensusWeights }) {
+  // Initialize predictions object with fallbacks
+  game.predictions = {};
+  for (const providerId of plan.query) {
+    game.predictions[providerId] = "Prediction unavailable at this time.";
+  }
+  
+  try {
+    const reused = Object.keys(plan.reuse);
+    if (reused.length) {
+      console.log(`Input unchanged for game ${game.id}; keeping the stored predictions of ${reused.join(', ')}`);
+    }
+
+    // Get predictions from the selected LLM providers
+    const predictions = await llmService.getAllPredictions(game, plan.query, promptFor);
+    gameReport.usage = sumUsage(Object.values(predictions.usage));
+
+    // Only update predictions that were successfully retrieved
+    for (const providerId of plan.query) {
+      if (predictions[providerId]) game.predictions[providerId] = predictions[providerId];
+    }
+
+    // Extract the score and winner from each response, flagging any that break the format
+    for (const [provider, text] of Object.entries(game.predictions)) {
+      const fromModel = Boolean(predictions.success[provider]);
+      game.predictions[provider] = {
+        ...parsePrediction(text, game),
+        // Baseline picks stand in for failed calls and are kept out of model stats
+        origin: fromModel ? 'model' : 'fallback',
+        fallbackReason: fromModel ? null : (predictions.fallbackReasons[provider] || 'no_response'),
+        model: predictions.models[provider],
+        promptVersion: predictions.promptVersions[provider],
+        ...(options.experiment ? { experiment: options.experiment.name } : {}),
+        outputMode: predictions.outputModes[provider] || null,
+        // Structured replies that needed the repair prompt, and the reply kept when an answer was unusable
+        ...(predictions.repaired[provider] ? { repaired: true } : {}),
+        ...(predictions.failedOutputs[provider] !== undefined ? { failedOutput: predictions.failedOutputs[provider] } : {}),
+        // Tokens, latency and cost of the calls behind this prediction; null when no call was made
+        usage: predictions.usage[provider] || null,
+        // What the provider was sent, so the next run can tell whether asking again is needed
+        inputHash: plan.inputHashes[provider],
+        generatedAt: predictions.timestamp
+      };
+      if (game.predictions[provider].parseStatus !== PARSE_STATUS.OK) {
+        console.warn(`Flagged ${provider} prediction for game ${game.id}: ${game.predictions[provider].parseStatus}`);
+      }
+      gameReport.predictions[provider] = {
+        origin: game.predictions[provider].origin,
+        parseStatus: game.predictions[provider].parseStatus,
+        promptVersion: game.predictions[provider].promptVersion,
+        usage: game.predictions[provider].usage,
+        ...(fromModel ? {} : { fallbackReason: game.predictions[provider].fallbackReason })
+      };
+    }
+
+    // Unchanged inputs keep their stored pick, marked as confirmed by this run
+    const confirmedAt = new Date().toISOString();
+    for (const [provider, stored] of Object.entries(plan.reuse)) {
+      game.predictions[provider] = { ...stored, confirmedAt };
+      gameReport.predictions[provider] = {
+        origin: stored.origin,
+        parseStatus: stored.parseStatus,
+        promptVersion: stored.promptVersion,
+        usage: null,
+        reused: true
+      };
+    }
+
+    // Dratings' own forecast is stored as a statistical baseline source
+    const dratingsPrediction = buildDratingsPrediction(game);
+    if (dratingsPrediction) {
+      game.predictions[DRATINGS_SOURCE.id] = dratingsPrediction;
+    }
+
+    // The vote combines the new picks with the stored picks they do not
+    // replace: other providers' picks in a subset run, and model picks kept
+    // over this run's baselines
+    let votingPredictions = game.predictions;
+    if (plan.existing) {
+      votingPredictions = {};
+      for (const [provider, value] of Object.entries(plan.existing.predictions || {})) {
+        votingPredictions[provider] = normalizeStoredPrediction(value, plan.existing);
+      }
+      Object.assign(votingPredictions, predictionsToMerge(plan.existing.predictions, game.predictions));
+    }
+
+    // Combine the model picks into the consensus source
+    const consensus = buildConsensus(game, votingPredictions, { weights: consensusWeights });
+    if (consensus) {
+      game.predictions[CONSENSUS_SOURCE.id] = consensus;
+      if (consensus.split) {
+        console.log(`Models split ${consensus.votes[game.awayTeam.abbreviation]}-${consensus.votes[game.homeTeam.abbreviation]} on game ${game.id}`);
+      }
+    }
+
+    // A game with only baselines is not stored at all. Otherwise the storage
+    // backend keeps a stored model pick over a new baseline from that provider,
+    // and the baseline goes only into the history snapshot and the run report.
+    const anySuccess = Object.values(predictions.success || {}).some(v => v) || reused.length > 0;
+    if (!anySuccess) {
+      throw new Error('All LLM API calls failed');
+    }
+    
+    // Store predictions in storage if connected
+    if (storageConnected) {
+      const result = await storage.storePredictions(game, game.predictions);
+      gameReport.stored = result.success;
+      if (result.success) {
+        console.log(`Successfully stored predictions for game ${game.id} in storage`);
+      } else {
+        gameReport.error = `Failed to store predictions: ${result.error}`;
+        console.warn(`Failed to store predictions for game ${game.id} in storage: ${result.error}`);
+      }
+    }
+  } catch (error) {
+    gameReport.error = error.message;
+    console.warn(`Error generating predictions for game ${game.id}:`, error.message);
+    console.log('Continuing with the other games');
+  }
+}
+
 // Main function to run the script
 async function main() {
+  let options;
+  try {
+    options = parseCliArgs();
+  } catch (error) {
+    console.error(error.message);
+    console.error('Usage: fetch-and-predict.js [--dry-run] [--date YYYY-MM-DD] [--game <id>] [--providers openai,grok] [--no-html] [--no-db] [--source dratings|statsapi] [--prompt <template> | --experiment <config.json>] [--max-spend <usd>] [--concurrency <n>] [--force] [--max-age <hours>]');
+    process.exit(1);
+  }
+
+  const report = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    status: null,
+    options,
+    source: null,
+    sourceFallback: null,
+    gamesProcessed: 0,
+    gamesFailed: 0,
+    providers: {},
+    games: [],
+    usage: null,
+    scheduler: null,
+    spendCap: options.maxSpendUsd === null ? null : { limitUsd: options.maxSpendUsd, spentUsd: 0, stopped: false, gamesSkipped: 0 },
+    htmlUpdated: false
+  };
+  let storageConnected = false;
+
   try {
     console.log('Starting MLB data and prediction update...');
+    if (options.dryRun) {
+      console.log('Dry run: nothing will be written to storage or the HTML file');
+    }
+
+    // Step 1: Connect to storage first, so failed runs are reported too
+    if (options.writeDb) {
+      try {
+        storageConnected = await storage.connect();
+        if (!storageConnected) {
+          console.warn('Failed to connect to storage, will continue without storing predictions');
+        }
+      } catch (error) {
+        console.warn('Error connecting to storage:', error.message);
+        console.warn('Will continue without storing predictions');
+      }
+    }
     
-    // Step 1: Fetch MLB game data
-    const games = await scrapeMLBData();
-    console.log(`Fetched ${games.length} games`);
-    
-    // Step 2: Connect to MongoDB
-    let mongoConnected = false;
-    try {
-      mongoConnected = await mongoService.connect();
-      if (!mongoConnected) {
-        console.warn('Failed to connect to MongoDB, will continue without storing predictions');
+    // Step 2: Fetch MLB game data
+    const loaded = await loadGames(options, report);
+    report.source = loaded.source;
+    let games = loaded.games;
+    console.log(`Fetched ${games.length} games from ${loaded.source}`);
+
+    if (options.game) {
+      games = games.filter(g => g.id === options.game);
+      if (!games.length) {
+        throw new Error(`Game ${options.game} is not on the ${loaded.source} slate`);
       }
-    } catch (error) {
-      console.warn('Error connecting to MongoDB:', error.message);
-      console.warn('Will continue without storing predictions');
     }
+
+    // Step 2b: Add pitchers, recent form and head-to-head context for the prompts
+    await addGameContext(games);
+
+    // Weight consensus votes by past accuracy when configured and the history is available
+    let consensusWeights = null;
+    if (process.env.CONSENSUS_WEIGHTING === 'accuracy' && storageConnected) {
+      const leaderboard = buildLeaderboard(await storage.getGradedPredictions());
+      consensusWeights = accuracyWeights(leaderboard.providers);
+      console.log('Consensus weights:', consensusWeights);
+    }
+
+    const providerIds = options.providers || getProviderIds();
     
-    // Step 3: Generate predictions for each game
-    for (let i = 0; i < games.length; i++) {
-      const game = games[i];
-      console.log(`Generating predictions for game ${i+1}/${games.length}: ${game.awayTeam.name} @ ${game.homeTeam.name}`);
-      
-      // Initialize predictions object with fallbacks
-      game.predictions = {
-        openai: "Prediction unavailable at this time.",
-        anthropic: "Prediction unavailable at this time.",
-        grok: "Prediction unavailable at this time.",
-        deepseek: "Prediction unavailable at this time."
-      };
-      
-      try {
-        // Get predictions from all LLM providers
-        const predictions = await llmService.getAllPredictions(game);
-
-        // Only update predictions that were successfully retrieved
-        if (predictions.openai) game.predictions.openai = predictions.openai;
-        if (predictions.anthropic) game.predictions.anthropic = predictions.anthropic;
-        if (predictions.grok) game.predictions.grok = predictions.grok;
-        if (predictions.deepseek) game.predictions.deepseek = predictions.deepseek;
-
-        const anySuccess = Object.values(predictions.success || {}).some(v => v);
-        if (!anySuccess) {
-          throw new Error('All LLM API calls failed');
+    // Step 3: Generate predictions, several games at a time; the prediction
+    // service's scheduler keeps each provider within its own limits. A failing
+    // game is recorded in the run report and the others carry on.
+    let next = 0;
+    // Worst-case cost of the games in flight, held against the spend cap until they finish
+    let reservedUsd = 0;
+    const worker = async () => {
+      while (next < games.length && !report.spendCap?.stopped) {
+        const i = next++;
+        const game = games[i];
+        const promptFor = providerId => options.experiment
+          ? assignPrompt(options.experiment, { gameId: game.id, providerId })
+          : options.prompt || llmService.promptVersion;
+
+        const plan = await planGame(game, { options, providerIds, promptFor, storageConnected });
+        // Another worker may have hit the spend cap while the stored predictions loaded
+        if (report.spendCap?.stopped) {
+          report.spendCap.gamesSkipped++;
+          break;
         }
-        
-        // Store predictions in MongoDB if connected
-        if (mongoConnected) {
-          try {
-            const result = await mongoService.storePredictions(game, game.predictions);
-            if (result.success) {
-              console.log(`Successfully stored predictions for game ${game.id} in MongoDB`);
-            } else {
-              console.warn(`Failed to store predictions for game ${game.id} in MongoDB: ${result.error}`);
-            }
-          } catch (error) {
-            console.warn(`Error storing predictions for game ${game.id} in MongoDB:`, error.message);
+
+        // Stop before a game whose worst case would take the run over the spend cap.
+        // Workers pass this check out of order, so only games taken here count as skipped.
+        let estimate = 0;
+        if (report.spendCap) {
+          const spent = sumUsage(report.games.map(g => g.usage)).costUsd;
+          estimate = llmService.estimateGameCost(game, plan.query, promptFor);
+          if (!fitsSpendCap(report.spendCap, spent + reservedUsd, estimate)) {
+            console.warn(`Stopping before game ${game.id}: $${(spent + reservedUsd).toFixed(4)} spent or committed, up to $${estimate.toFixed(4)} more would pass the $${report.spendCap.limitUsd} cap`);
+            break;
           }
+          reservedUsd += estimate;
         }
-      } catch (error) {
-        console.warn(`Error generating predictions for game ${game.id}:`, error.message);
-        console.log(`Using fallback predictions for game ${game.id}`);
-        throw error;
+
+        console.log(`Generating predictions for game ${i+1}/${games.length}: ${game.awayTeam.name} @ ${game.homeTeam.name}`);
+        const gameReport = { gameId: game.id, matchup: `${game.awayTeam.abbreviation} @ ${game.homeTeam.abbreviation}`, predictions: {}, usage: null, stored: null, error: null };
+        report.games.push(gameReport);
+        await predictGame(game, gameReport, plan, { options, promptFor, storageConnected, consensusWeights });
+        reservedUsd -= estimate;
       }
+    };
+    await Promise.all(Array.from({ length: Math.min(options.concurrency, games.length) }, worker));
+    // Games no worker took after the stop were skipped too
+    if (report.spendCap?.stopped) {
+      report.spendCap.gamesSkipped += games.length - next;
     }
     
-    // Step 4: Update the HTML file with new predictions
-    const htmlUpdated = await updateHtmlWithPredictions(games);
-    if (htmlUpdated) {
-      console.log('Successfully updated HTML with new predictions');
+    // Step 4: Update the HTML file with new predictions. The page lists the whole
+    // slate, so single-game and provider-subset runs leave it alone.
+    if (!options.writeHtml) {
+      console.log('Skipping HTML update');
+    } else if (options.game || options.providers) {
+      console.log('Skipping HTML update: it is only rewritten for full-slate runs');
     } else {
-      console.warn('Failed to update HTML with new predictions');
+      const htmlUpdated = await updateHtmlWithPredictions(games);
+      report.htmlUpdated = htmlUpdated;
+      if (htmlUpdated) {
+        console.log('Successfully updated HTML with new predictions');
+      } else {
+        console.warn('Failed to update HTML with new predictions');
+      }
     }
-    
-    // Step 5: Close MongoDB connection
-    if (mongoConnected) {
+
+    // Step 5: Record the run report and close the storage connection
+    finishRunReport(report);
+    if (storageConnected) {
+      await storeRunReport(report);
       try {
-        await mongoService.close();
+        await storage.close();
       } catch (error) {
-        console.warn('Error closing MongoDB connection:', error.message);
+        console.warn('Error closing storage:', error.message);
       }
     }
     
-    console.log('MLB data and prediction update completed successfully');
+    console.log(`MLB data and prediction update completed with status ${report.status}`);
+    if (report.status === 'failed') {
+      process.exitCode = 1;
+    }
   } catch (error) {
     console.error('Error in main function:', error);
+    report.error = error.message;
+    finishRunReport(report);
+    if (storageConnected) {
+      await storeRunReport(report);
+      await storage.close().catch(() => {});
+    }
+    if (!options.writeHtml) {
+      process.exit(1);
+    }
     // Even if there's an error, try to update the HTML with what we have
     console.log('Attempting to update HTML with available data despite errors...');
     try {
@@ -0,0 +1,331 @@
+/**
+ * File Storage Service
+ *
+ * A local, dependency-free stand-in for MongoDBService that keeps each
+ * collection in a JSON file. It implements the same methods with the same
+ * return shapes, so the server and scripts run on a laptop or CI box without
+ * a database. Files are re-read on every call, which lets the server see what
+ * the update script wrote. It is meant for development, not concurrent writers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isLegacyGameId } = require('./game-id');
+const { predictionsToMerge } = require('./prediction-parser');
+require('dotenv').config();
+
+const DEFAULT_DIR = path.join(__dirname, '../../data');
+
+// Fields stored as ISO strings and handed back as Date objects, as Mongo does
+const DATE_FIELDS = ['gameDate', 'createdAt', 'updatedAt', 'gradedAt', 'startedAt', 'finishedAt'];
+
+class FileStorageService {
+  constructor(dir = null) {
+    this.dir = dir || process.env.LOCAL_STORAGE_DIR || DEFAULT_DIR;
+    this.connected = false;
+  }
+
+  /**
+   * Create the storage directory
+   * @returns {Promise<boolean>} - Connection success status
+   */
+  async connect() {
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      this.connected = true;
+      console.log(`Using file storage in ${this.dir}`);
+      return true;
+    } catch (error) {
+      console.error('File storage error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Nothing to release; kept for parity with MongoDBService
+   */
+  async close() {
+    this.connected = false;
+  }
+
+  /**
+   * Read every document of a collection
+   * @param {String} name - Collection name
+   * @returns {Array} - Documents with date fields revived
+   */
+  read(name) {
+    const file = path.join(this.dir, `${name}.json`);
+    if (!fs.existsSync(file)) return [];
+
+    return JSON.parse(fs.readFileSync(file, 'utf8')).map(doc => {
+      for (const field of DATE_FIELDS) {
+        if (doc[field]) doc[field] = new Date(doc[field]);
+      }
+      return doc;
+    });
+  }
+
+  /**
+   * Replace the contents of a collection
+   * @param {String} name - Collection name
+   * @param {Array} docs - Documents to write
+   */
+  write(name, docs) {
+    const file = path.join(this.dir, `${name}.json`);
+    // Write then rename so a reader never sees a half-written file
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(docs, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  /**
+   * Make sure the directory exists before the first call
+   * @returns {Promise<boolean>}
+   */
+  async ensureConnected() {
+    return this.connected || this.connect();
+  }
+
+  /**
+   * Store predictions for a game. Predictions are merged into the stored
+   * document by source, so a run covering some providers keeps the others, and
+   * a baseline never replaces a stored model pick (see predictionsToMerge()).
+   * The history snapshot keeps every prediction of the run.
+   * @param {Object} game - Game data object
+   * @param {Object} predictions - Parsed predictions keyed by provider (see prediction-parser.js)
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async storePredictions(game, predictions) {
+    if (!(await this.ensureConnected())) {
+      return { success: false, error: 'Failed to open file storage' };
+    }
+
+    try {
+      const snapshot = await this.storeHistorySnapshot(game, predictions);
+      console.log(`Stored prediction snapshot v${snapshot.version} for game ${game.id}`);
+
+      const docs = this.read('predictions');
+      const existing = docs.find(d => d.gameId === game.id);
+      const fields = {
+        gamePk: game.gamePk || null,
+        gameNumber: game.gameNumber || 1,
+        gameDate: new Date(game.gameTime),
+        homeTeam: game.homeTeam,
+        awayTeam: game.awayTeam,
+        venue: game.venue,
+        context: game.context || null,
+        updatedAt: new Date()
+      };
+
+      if (existing) {
+        Object.assign(existing, fields, {
+          predictions: { ...existing.predictions, ...predictionsToMerge(existing.predictions, predictions) }
+        });
+        console.log(`Updated predictions for game ${game.id}`);
+      } else {
+        docs.push({ gameId: game.id, ...fields, predictions, createdAt: new Date() });
+        console.log(`Stored new predictions for game ${game.id}`);
+      }
+      this.write('predictions', docs);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error storing predictions:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Append a versioned snapshot of a game's predictions
+   * @param {Object} game - Game data object
+   * @param {Object} predictions - Parsed predictions keyed by provider
+   * @returns {Promise<Object>} - The stored snapshot
+   */
+  async storeHistorySnapshot(game, predictions) {
+    const docs = this.read('prediction_history');
+    const versions = docs.filter(d => d.gameId === game.id).map(d => d.version);
+
+    const snapshot = {
+      gameId: game.id,
+      gameDate: new Date(game.gameTime),
+      version: versions.length ? Math.max(...versions) + 1 : 1,
+      context: game.context || null,
+      predictions,
+      createdAt: new Date()
+    };
+    docs.push(snapshot);
+    this.write('prediction_history', docs);
+    return snapshot;
+  }
+
+  /**
+   * Get every stored snapshot of a game's predictions, oldest first
+   * @param {String} gameId - Game ID
+   * @returns {Promise<Array>} - Array of snapshots
+   */
+  async getPredictionHistory(gameId) {
+    if (!(await this.ensureConnected())) return [];
+    return this.read('prediction_history')
+      .filter(d => d.gameId === gameId)
+      .sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Get predictions for a game
+   * @param {String} gameId - Game ID; legacy "away-home" IDs resolve to the most recent matching game
+   * @returns {Promise<Object>} - Game predictions or null if not found
+   */
+  async getPredictions(gameId) {
+    if (!(await this.ensureConnected())) return null;
+
+    const docs = this.read('predictions');
+    const result = docs.find(d => d.gameId === gameId);
+    if (result || !isLegacyGameId(gameId)) {
+      return result || null;
+    }
+
+    return docs
+      .filter(d => d.legacyGameId === gameId)
+      .sort((a, b) => b.gameDate - a.gameDate)[0] || null;
+  }
+
+  /**
+   * Get predictions for games starting within a time range
+   * @param {Date} start - Earliest start time, inclusive
+   * @param {Date} end - Latest start time, exclusive
+   * @returns {Promise<Array>} - Array of game predictions ordered by start time
+   */
+  async getPredictionsBetween(start, end) {
+    if (!(await this.ensureConnected())) return [];
+    return this.read('predictions')
+      .filter(d => d.gameDate >= start && d.gameDate < end)
+      .sort((a, b) => a.gameDate - b.gameDate);
+  }
+
+  /**
+   * Get the most recently updated predictions
+   * @param {number} limit - Max number of games to return
+   * @returns {Promise<Array>} - Array of game predictions
+   */
+  async getLatestPredictions(limit = 15) {
+    if (!(await this.ensureConnected())) return [];
+    return this.read('predictions')
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .slice(0, limit);
+  }
+
+  /**
+   * Get games that started before a given time and have not been graded yet
+   * @param {Date} before - Only include games scheduled before this time
+   * @returns {Promise<Array>} - Array of game predictions
+   */
+  async getUngradedPredictions(before = new Date()) {
+    if (!(await this.ensureConnected())) return [];
+    return this.read('predictions')
+      .filter(d => d.gameDate < before && !['final', 'postponed'].includes(d.status))
+      .sort((a, b) => a.gameDate - b.gameDate);
+  }
+
+  /**
+   * Store the final result of a game along with the grade of each prediction
+   * @param {String} gameId - Game ID
+   * @param {Object} result - { status, awayRuns, homeRuns }
+   * @param {Object} grades - Grades keyed by provider (see grading.js)
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async storeGameResult(gameId, result, grades) {
+    if (!(await this.ensureConnected())) {
+      return { success: false, error: 'Failed to open file storage' };
+    }
+
+    try {
+      const docs = this.read('predictions');
+      const doc = docs.find(d => d.gameId === gameId);
+      if (doc) {
+        Object.assign(doc, {
+          status: result.status,
+          result: { awayRuns: result.awayRuns, homeRuns: result.homeRuns },
+          grades,
+          gradedAt: new Date()
+        });
+        this.write('predictions', docs);
+      }
+      console.log(`Stored ${result.status} result for game ${gameId}`);
+      return { success: true };
+    } catch (error) {
+      console.error('Error storing game result:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get all games that have been graded
+   * @returns {Promise<Array>} - Array of graded game predictions
+   */
+  async getGradedPredictions() {
+    if (!(await this.ensureConnected())) return [];
+    return this.read('predictions')
+      .filter(d => d.status === 'final')
+      .sort((a, b) => a.gameDate - b.gameDate);
+  }
+
+  /**
+   * Store the report of a prediction update run
+   * @param {Object} report - Run report from fetch-and-predict.js
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async storeRunReport(report) {
+    if (!(await this.ensureConnected())) {
+      return { success: false, error: 'Failed to open file storage' };
+    }
+
+    try {
+      const docs = this.read('runs');
+      docs.push(report);
+      this.write('runs', docs);
+      return { success: true };
+    } catch (error) {
+      console.error('Error storing run report:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the most recent run report
+   * @returns {Promise<Object|null>} - Run report or null when none is stored
+   */
+  async getLatestRun() {
+    if (!(await this.ensureConnected())) return null;
+    return this.read('runs').sort((a, b) => b.startedAt - a.startedAt)[0] || null;
+  }
+
+  /**
+   * Get the run reports that started in a time range, oldest first
+   * @param {Date} start - Inclusive start
+   * @param {Date} end - Exclusive end
+   * @returns {Promise<Array>} - Run reports
+   */
+  async getRunReports(start, end) {
+    if (!(await this.ensureConnected())) return [];
+    return this.read('runs')
+      .filter(r => r.startedAt >= start && r.startedAt < end)
+      .sort((a, b) => a.startedAt - b.startedAt);
+  }
+
+  /**
+   * Delete predictions for a game
+   * @param {String} gameId - Game ID
+   * @returns {Promise<boolean>} - Success status
+   */
+  async deletePredictions(gameId) {
+    if (!(await this.ensureConnected())) return false;
+
+    const docs = this.read('predictions');
+    const remaining = docs.filter(d => d.gameId !== gameId);
+    this.write('predictions', remaining);
+    console.log(`Deleted predictions for game ${gameId}`);
+    return remaining.length < docs.length;
+  }
+}
+
+module.exports = FileStorageService;
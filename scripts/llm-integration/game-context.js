@@ -0,0 +1,184 @@
+/**
+ * Game Context Builder
+ *
+ * Gathers the extra matchup context that goes into each prediction prompt:
+ * probable starting pitchers with their season lines, each team's last-10,
+ * home and away records and run differential, and the season head-to-head.
+ * All data comes from the MLB Stats API. Results are cached per builder, so
+ * one builder should be used for a whole slate.
+ */
+
+const axios = require('axios');
+const {
+  STATS_API_BASE,
+  toEasternDateString,
+  fetchTeamMap,
+  fetchScheduleGames,
+  findScheduleGame
+} = require('./mlb-stats-api');
+
+/**
+ * Format a split record as "W-L"
+ * @param {Object} record - Stats API record with wins and losses
+ * @returns {String|null}
+ */
+function formatRecord(record) {
+  return record ? `${record.wins}-${record.losses}` : null;
+}
+
+class GameContextBuilder {
+  constructor() {
+    this.teamMap = null;
+    this.schedules = {};
+    this.standings = {};
+    this.pitchers = {};
+    this.headToHead = {};
+  }
+
+  /**
+   * Get the schedule for a day with probable pitchers included
+   * @param {String} dateStr - Date in YYYY-MM-DD format
+   * @returns {Promise<Array>} - Stats API games
+   */
+  async getSchedule(dateStr) {
+    if (!this.schedules[dateStr]) {
+      this.schedules[dateStr] = await fetchScheduleGames(dateStr, { hydrate: 'probablePitcher' });
+    }
+    return this.schedules[dateStr];
+  }
+
+  /**
+   * Get regular season standings keyed by team id
+   * @param {number} season - Season year
+   * @returns {Promise<Object>} - Map of team id to Stats API team record
+   */
+  async getStandings(season) {
+    if (!this.standings[season]) {
+      const res = await axios.get(`${STATS_API_BASE}/standings?leagueId=103,104&season=${season}&standingsTypes=regularSeason`);
+      const byTeam = {};
+      for (const division of res.data.records || []) {
+        for (const teamRecord of division.teamRecords || []) {
+          byTeam[teamRecord.team.id] = teamRecord;
+        }
+      }
+      this.standings[season] = byTeam;
+    }
+    return this.standings[season];
+  }
+
+  /**
+   * Get a probable pitcher's season pitching line
+   * @param {Object} pitcher - probablePitcher entry from the schedule
+   * @param {number} season - Season year
+   * @returns {Promise<Object|null>} - Pitcher summary or null when none is announced
+   */
+  async getPitcher(pitcher, season) {
+    if (!pitcher) return null;
+
+    const key = `${pitcher.id}-${season}`;
+    if (!this.pitchers[key]) {
+      const res = await axios.get(`${STATS_API_BASE}/people/${pitcher.id}/stats?stats=season&group=pitching&season=${season}`);
+      const split = res.data.stats?.[0]?.splits?.[0];
+      const stat = split ? split.stat : {};
+      this.pitchers[key] = {
+        name: pitcher.fullName,
+        wins: stat.wins ?? null,
+        losses: stat.losses ?? null,
+        era: stat.era ?? null,
+        whip: stat.whip ?? null,
+        inningsPitched: stat.inningsPitched ?? null,
+        strikeOuts: stat.strikeOuts ?? null
+      };
+    }
+    return this.pitchers[key];
+  }
+
+  /**
+   * Get the season series between two teams from completed games
+   * @param {number} awayId - Stats API id of the away team
+   * @param {number} homeId - Stats API id of the home team
+   * @param {number} season - Season year
+   * @returns {Promise<Object>} - { gamesPlayed, awayWins, homeWins }
+   */
+  async getHeadToHead(awayId, homeId, season) {
+    const key = `${awayId}-${homeId}-${season}`;
+    if (!this.headToHead[key]) {
+      const res = await axios.get(`${STATS_API_BASE}/schedule?sportId=1&gameType=R&season=${season}&teamId=${awayId}&opponentId=${homeId}`);
+      const series = { gamesPlayed: 0, awayWins: 0, homeWins: 0 };
+
+      for (const date of res.data.dates || []) {
+        for (const g of date.games) {
+          const { away, home } = g.teams;
+          if (g.status?.abstractGameState !== 'Final' || typeof away.score !== 'number' || typeof home.score !== 'number') {
+            continue;
+          }
+          const winnerId = away.score > home.score ? away.team.id : home.team.id;
+          series.gamesPlayed++;
+          if (winnerId === awayId) series.awayWins++;
+          else series.homeWins++;
+        }
+      }
+      this.headToHead[key] = series;
+    }
+    return this.headToHead[key];
+  }
+
+  /**
+   * Summarize a team's form from the standings
+   * @param {Object} teamRecord - Stats API team record from getStandings()
+   * @returns {Object|null} - { lastTen, home, away, runDifferential }
+   */
+  summarizeTeam(teamRecord) {
+    if (!teamRecord) return null;
+
+    const splits = {};
+    for (const split of teamRecord.records?.splitRecords || []) {
+      splits[split.type] = split;
+    }
+    return {
+      lastTen: formatRecord(splits.lastTen),
+      home: formatRecord(splits.home),
+      away: formatRecord(splits.away),
+      runDifferential: teamRecord.runDifferential ?? null
+    };
+  }
+
+  /**
+   * Build the prompt context for a game
+   * @param {Object} game - Game data object from the scraper or the Stats API
+   * @returns {Promise<Object>} - Context object stored with the prediction
+   */
+  async build(game) {
+    const dateStr = toEasternDateString(game.gameTime);
+    const season = parseInt(dateStr.slice(0, 4), 10);
+
+    if (!this.teamMap) {
+      this.teamMap = await fetchTeamMap();
+    }
+    const scheduleGame = findScheduleGame(game, await this.getSchedule(dateStr), this.teamMap);
+    if (!scheduleGame) {
+      throw new Error(`No Stats API game found for ${game.id} on ${dateStr}`);
+    }
+
+    const { away, home } = scheduleGame.teams;
+    const standings = await this.getStandings(season);
+    const [awayPitcher, homePitcher, headToHead] = await Promise.all([
+      this.getPitcher(away.probablePitcher, season),
+      this.getPitcher(home.probablePitcher, season),
+      this.getHeadToHead(away.team.id, home.team.id, season)
+    ]);
+
+    return {
+      gamePk: scheduleGame.gamePk,
+      builtAt: new Date().toISOString(),
+      probablePitchers: { away: awayPitcher, home: homePitcher },
+      teams: {
+        away: this.summarizeTeam(standings[away.team.id]),
+        home: this.summarizeTeam(standings[home.team.id])
+      },
+      headToHead
+    };
+  }
+}
+
+module.exports = GameContextBuilder;
@@ -0,0 +1,63 @@
+/**
+ * Game Identity
+ *
+ * Builds stable game IDs from the game's Eastern date, the two teams and the
+ * game number, e.g. "2025-06-01-nym-chc-1". The date keeps repeat matchups in
+ * later series apart and the game number separates doubleheaders.
+ */
+
+const { toEasternDateString } = require('./mlb-stats-api');
+
+// IDs written before games carried a date looked like "nym-chc"
+const LEGACY_ID_PATTERN = /^[a-z]+-[a-z]+$/;
+
+/**
+ * Build a game ID
+ * @param {Object} parts - { date, awayAbbr, homeAbbr, gameNumber }
+ * @returns {String} - Game ID such as "2025-06-01-nym-chc-1"
+ */
+function buildGameId({ date, awayAbbr, homeAbbr, gameNumber = 1 }) {
+  return `${date}-${awayAbbr.toLowerCase()}-${homeAbbr.toLowerCase()}-${gameNumber}`;
+}
+
+/**
+ * Check whether an ID uses the old "away-home" format
+ * @param {String} gameId - Game ID
+ * @returns {boolean}
+ */
+function isLegacyGameId(gameId) {
+  return LEGACY_ID_PATTERN.test(gameId);
+}
+
+/**
+ * Assign game numbers and IDs to games from a source that does not report
+ * them. Repeat matchups on the same day are numbered in start-time order.
+ * @param {Array} games - Game objects with gameTime and team abbreviations
+ * @returns {Array} - The same games with gameNumber and id set
+ */
+function assignGameIds(games) {
+  const counts = {};
+  const ordered = [...games].sort((a, b) => new Date(a.gameTime) - new Date(b.gameTime));
+
+  for (const game of ordered) {
+    const date = toEasternDateString(game.gameTime);
+    const key = `${date}-${game.awayTeam.abbreviation}-${game.homeTeam.abbreviation}`;
+    counts[key] = (counts[key] || 0) + 1;
+
+    game.gameNumber = counts[key];
+    game.id = buildGameId({
+      date,
+      awayAbbr: game.awayTeam.abbreviation,
+      homeAbbr: game.homeTeam.abbreviation,
+      gameNumber: game.gameNumber
+    });
+  }
+
+  return games;
+}
+
+module.exports = {
+  buildGameId,
+  isLegacyGameId,
+  assignGameIds
+};
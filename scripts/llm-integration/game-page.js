@@ -0,0 +1,234 @@
+/**
+ * Game Pages
+ *
+ * Renders a standalone page for one game, for sharing a matchup as a link:
+ * every provider's prediction, the consensus and, once the game is final, the
+ * result and grades. The page carries Open Graph and Twitter card tags with a
+ * generated summary, so link previews show the picks without running any
+ * script. server.js serves it at /games/:gameId and build.js writes one per
+ * stored game to out/games/<gameId>/index.html.
+ */
+
+const { CONSENSUS_SOURCE } = require('./consensus');
+const { DEFAULT_TIME_ZONE } = require('./time-zones');
+
+const SITE_NAME = 'AI Sports Almanac';
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {*} value - Value to escape
+ * @returns {String}
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format a start time on the Eastern clock
+ * @param {Date|String} gameTime - Start time
+ * @returns {String} - e.g. "Sun, Jun 1, 2:20 PM ET"
+ */
+function formatStartTime(gameTime) {
+  return new Date(gameTime).toLocaleString('en-US', {
+    timeZone: DEFAULT_TIME_ZONE,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  }) + ' ET';
+}
+
+/**
+ * Name of the team a prediction picked
+ * @param {Object} game - Game from formatGame()
+ * @param {String} abbreviation - Picked team abbreviation
+ * @returns {String}
+ */
+function teamName(game, abbreviation) {
+  if (abbreviation === game.homeTeam.abbreviation) return game.homeTeam.name;
+  if (abbreviation === game.awayTeam.abbreviation) return game.awayTeam.name;
+  return abbreviation;
+}
+
+/**
+ * Format a predicted or final score, away team first
+ * @param {Object} game - Game from formatGame()
+ * @param {number} awayRuns - Away runs
+ * @param {number} homeRuns - Home runs
+ * @returns {String} - e.g. "NYM 4.2 - 3.8 CHC"
+ */
+function formatScore(game, awayRuns, homeRuns) {
+  return `${game.awayTeam.abbreviation} ${awayRuns} - ${homeRuns} ${game.homeTeam.abbreviation}`;
+}
+
+/**
+ * Write a one-paragraph summary of a game's predictions for link previews
+ * @param {Object} game - Game from formatGame()
+ * @returns {String}
+ */
+function summarizeGame(game) {
+  const consensus = game.predictions.find(p => p.source === CONSENSUS_SOURCE.id);
+  const models = game.predictions.filter(p => p.origin === 'model' && p.winner);
+
+  if (game.status === 'final' && game.result) {
+    const parts = [`Final: ${formatScore(game, game.result.awayRuns, game.result.homeRuns)}.`];
+    const graded = models.filter(p => p.correct !== null);
+    if (graded.length) {
+      parts.push(`${graded.filter(p => p.correct).length} of ${graded.length} AI models picked the winner.`);
+    }
+    if (consensus && consensus.correct !== null) {
+      parts.push(`The consensus pick of ${teamName(game, consensus.winner)} was ${consensus.correct ? 'right' : 'wrong'}.`);
+    }
+    return parts.join(' ');
+  }
+
+  if (game.status === 'postponed') {
+    return `${game.awayTeam.name} at ${game.homeTeam.name} was postponed.`;
+  }
+  if (!consensus) {
+    return models.length
+      ? `${models.length} AI model(s) have picked ${game.awayTeam.name} at ${game.homeTeam.name}.`
+      : `No AI predictions yet for ${game.awayTeam.name} at ${game.homeTeam.name}.`;
+  }
+
+  const parts = [`AI consensus: ${teamName(game, consensus.winner)} win, ` +
+    `${formatScore(game, consensus.awayRuns, consensus.homeRuns)}.`];
+  if (models.length) {
+    const backers = models.filter(p => p.winner === consensus.winner).length;
+    parts.push(`${backers} of ${models.length} AI models pick the ${teamName(game, consensus.winner)}.`);
+  }
+  if (consensus.split) parts.push('The models are split.');
+  return parts.join(' ');
+}
+
+/**
+ * Render one prediction as a list item
+ * @param {Object} game - Game from formatGame()
+ * @param {Object} p - Prediction from formatGame()
+ * @returns {String} - HTML
+ */
+function renderPrediction(game, p) {
+  const tags = [];
+  if (p.origin === 'fallback') tags.push('<span class="tag">baseline</span>');
+  if (p.origin === 'statistical') tags.push('<span class="tag">stats model</span>');
+  if (p.split) tags.push('<span class="tag split">models split</span>');
+  if (p.correct === true) tags.push('<span class="grade right">right</span>');
+  if (p.correct === false) tags.push('<span class="grade wrong">wrong</span>');
+
+  const score = p.awayRuns === null || p.homeRuns === null ? '' : `, ${formatScore(game, p.awayRuns, p.homeRuns)}`;
+  const pick = p.winner ? escapeHtml(`${teamName(game, p.winner)}${score}`) : 'No pick';
+  const probability = p.homeWinProbability === null ? ''
+    : ` <span class="probability">(${escapeHtml(game.homeTeam.abbreviation)} ${Math.round(p.homeWinProbability * 100)}% to win)</span>`;
+  const agreement = p.agreement === null ? '' : ` <em>${Math.round(p.agreement * 100)}% agreement</em>`;
+  const rationale = p.rationale ? `<p>${escapeHtml(p.rationale)}</p>` : '';
+
+  return `<li class="${p.source === CONSENSUS_SOURCE.id ? 'consensus' : escapeHtml(p.origin)}">
+        <strong>${escapeHtml(p.displayName)}:</strong> ${pick}${probability}${agreement} ${tags.join(' ')}
+        ${rationale}
+      </li>`;
+}
+
+/**
+ * Render one team of the matchup header
+ * @param {Object} team - Team from formatGame()
+ * @param {String} assetBase - Relative path from the page to the site root
+ * @returns {String} - HTML
+ */
+function renderTeam(team, assetBase) {
+  const logo = `${assetBase}${(team.logo || '/team-logos/default.svg').replace(/^\//, '')}`;
+  return `<div class="team">
+        <img src="${escapeHtml(logo)}" alt="${escapeHtml(team.name)} logo">
+        <div>${escapeHtml(team.name)}</div>
+        <div class="record">${escapeHtml(team.record || '')}</div>
+      </div>`;
+}
+
+/**
+ * Render the standalone page for a game
+ * @param {Object} game - Game from formatGame()
+ * @param {Object} options - { siteUrl, assetBase }; siteUrl is the absolute
+ *   site root used for canonical and og:url links, which are left out without
+ *   it. assetBase is the relative path from the page to the site root.
+ * @returns {String} - HTML document
+ */
+function renderGamePage(game, { siteUrl = null, assetBase = '../../' } = {}) {
+  const title = `${game.awayTeam.name} at ${game.homeTeam.name}, ${formatStartTime(game.gameTime)}`;
+  const summary = summarizeGame(game);
+  const url = siteUrl ? `${siteUrl.replace(/\/$/, '')}/games/${encodeURIComponent(game.gameId)}/` : null;
+
+  const result = game.status === 'final' && game.result
+    ? `<p class="result">Final: ${escapeHtml(formatScore(game, game.result.awayRuns, game.result.homeRuns))}</p>`
+    : game.status === 'postponed' ? '<p class="result">Postponed</p>' : '';
+  const predictions = game.predictions.length
+    ? `<ul>${game.predictions.map(p => renderPrediction(game, p)).join('')}</ul>`
+    : '<p>No predictions yet.</p>';
+
+  // Team logos are SVG, which link previews do not show, so there is no og:image
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} | ${SITE_NAME}</title>
+  <meta name="description" content="${escapeHtml(summary)}">
+  ${url ? `<link rel="canonical" href="${escapeHtml(url)}">` : ''}
+  <meta property="og:type" content="article">
+  <meta property="og:site_name" content="${SITE_NAME}">
+  <meta property="og:title" content="${escapeHtml(title)}">
+  <meta property="og:description" content="${escapeHtml(summary)}">
+  ${url ? `<meta property="og:url" content="${escapeHtml(url)}">` : ''}
+  <meta name="twitter:card" content="summary">
+  <meta name="twitter:title" content="${escapeHtml(title)}">
+  <meta name="twitter:description" content="${escapeHtml(summary)}">
+  <style>
+    body {font-family:sans-serif;margin:0;background:#f5f5f5;color:#333;}
+    header {background:#fff;padding:1rem;box-shadow:0 2px 4px rgba(0,0,0,0.1);text-align:center;}
+    header a {color:#1a73e8;text-decoration:none;font-weight:bold;}
+    main {max-width:700px;margin:1rem auto;padding:1rem;background:#fff;border-radius:8px;box-shadow:0 2px 4px rgba(0,0,0,0.1);}
+    .matchup {display:grid;grid-template-columns:1fr auto 1fr;align-items:center;text-align:center;gap:0.5rem;}
+    .team img {width:64px;height:64px;object-fit:contain;}
+    .record {color:#777;font-size:0.9rem;}
+    .details {text-align:center;color:#555;}
+    .summary {background:#f0f4ff;border-radius:4px;padding:0.75rem;}
+    .result {text-align:center;font-size:1.2rem;font-weight:bold;}
+    ul {list-style:none;padding:0;}
+    li {border-bottom:1px solid #eee;padding:0.5rem 0;}
+    li p {margin:0.25rem 0 0;color:#555;font-size:0.9rem;}
+    li.consensus {background:#fafafa;}
+    li.fallback {color:#777;}
+    .tag {font-size:0.75rem;padding:0 0.3rem;border-radius:4px;background:#e0e0e0;color:#555;text-transform:uppercase;}
+    .tag.split {background:#fff3cd;color:#8a6100;}
+    .grade {font-size:0.75rem;padding:0 0.3rem;border-radius:4px;color:#fff;}
+    .grade.right {background:#2e7d32;}
+    .grade.wrong {background:#c62828;}
+  </style>
+</head>
+<body>
+  <header><a href="${escapeHtml(assetBase)}">${SITE_NAME}</a></header>
+  <main>
+    <div class="matchup">
+      ${renderTeam(game.awayTeam, assetBase)}
+      <div>at</div>
+      ${renderTeam(game.homeTeam, assetBase)}
+    </div>
+    <p class="details">${escapeHtml(formatStartTime(game.gameTime))} &middot; ${escapeHtml(game.venue || 'Venue TBD')}</p>
+    ${result}
+    <p class="summary">${escapeHtml(summary)}</p>
+    <h2>Predictions</h2>
+    ${predictions}
+  </main>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  summarizeGame,
+  renderGamePage
+};
@@ -0,0 +1,109 @@
+/**
+ * Grading script for stored MLB predictions
+ *
+ * This script:
+ * 1. Finds stored games that have started but have not been graded
+ * 2. Fetches final scores for those days from the MLB Stats API
+ * 3. Marks each provider's prediction as correct or incorrect with its run error,
+ *    Brier score and log loss
+ * 4. Stores the final status and score on the game document
+ * 5. Logs each model's calibration and each prompt version's accuracy across all graded games
+ */
+
+const { createStorage } = require('./storage');
+const { toEasternDateString, fetchTeamMap, fetchScheduleGames, findScheduleGame } = require('./mlb-stats-api');
+const { extractResult, gradeGame } = require('./grading');
+const { buildLeaderboard } = require('./leaderboard');
+require('dotenv').config();
+
+// Games are not checked until this long after first pitch
+const GRADING_DELAY_MS = 3 * 60 * 60 * 1000;
+
+const storage = createStorage();
+
+// Main function to run the script
+async function main() {
+  try {
+    console.log('Starting prediction grading...');
+
+    const connected = await storage.connect();
+    if (!connected) {
+      throw new Error('Failed to connect to storage');
+    }
+
+    const before = new Date(Date.now() - GRADING_DELAY_MS);
+    const games = await storage.getUngradedPredictions(before);
+    console.log(`Found ${games.length} ungraded games`);
+
+    // Group games by their Eastern date so each schedule is fetched once
+    const gamesByDate = {};
+    for (const game of games) {
+      const dateStr = toEasternDateString(game.gameDate);
+      (gamesByDate[dateStr] = gamesByDate[dateStr] || []).push(game);
+    }
+
+    const teamMap = games.length ? await fetchTeamMap() : {};
+    let graded = 0;
+
+    // A bad schedule or game skips only that date or game, not the rest of the run
+    for (const [dateStr, storedGames] of Object.entries(gamesByDate)) {
+      let scheduleGames;
+      try {
+        scheduleGames = await fetchScheduleGames(dateStr);
+      } catch (error) {
+        console.warn(`Skipping ${storedGames.length} games on ${dateStr}: could not fetch the schedule: ${error.message}`);
+        continue;
+      }
+
+      for (const storedGame of storedGames) {
+        try {
+          const scheduleGame = findScheduleGame(storedGame, scheduleGames, teamMap);
+          if (!scheduleGame) {
+            console.warn(`No Stats API game found for ${storedGame.gameId} on ${dateStr}`);
+            continue;
+          }
+
+          const result = extractResult(scheduleGame);
+          if (!result) {
+            console.log(`Game ${storedGame.gameId} is not final yet`);
+            continue;
+          }
+
+          const grades = result.status === 'final' ? gradeGame(storedGame, result) : {};
+          const stored = await storage.storeGameResult(storedGame.gameId, result, grades);
+          if (stored.success) {
+            graded++;
+          } else {
+            console.warn(`Failed to store result for game ${storedGame.gameId}: ${stored.error}`);
+          }
+        } catch (error) {
+          console.warn(`Skipping game ${storedGame.gameId}: ${error.message}`);
+        }
+      }
+    }
+
+    console.log(`Graded ${graded} games`);
+
+    // Report calibration of each model's win probabilities across all graded games
+    const leaderboard = buildLeaderboard(await storage.getGradedPredictions());
+    for (const row of leaderboard.providers) {
+      const format = v => v == null ? '-' : v.toFixed(3);
+      console.log(`${row.displayName}: ${row.probabilitySampleSize} probabilities, Brier ${format(row.brier)}, log loss ${format(row.logLoss)}`);
+    }
+
+    // Compare prompt versions over the same graded games
+    for (const row of leaderboard.prompts) {
+      const accuracy = row.accuracy == null ? '-' : `${(row.accuracy * 100).toFixed(1)}%`;
+      console.log(`Prompt ${row.promptVersion}: ${row.sampleSize} picks, accuracy ${accuracy}, Brier ${row.brier == null ? '-' : row.brier.toFixed(3)}`);
+    }
+
+    await storage.close();
+  } catch (error) {
+    console.error('Error in main function:', error);
+    await storage.close();
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
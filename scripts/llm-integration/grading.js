@@ -0,0 +1,142 @@
+/**
+ * Grading
+ *
+ * Pure helpers that turn an MLB Stats API schedule game into a final result
+ * and compare stored predictions against it: winner, run error, and Brier
+ * score and log loss for the predicted home win probability.
+ */
+
+const { normalizeStoredPrediction } = require('./prediction-parser');
+
+const LOG_LOSS_EPSILON = 1e-6;
+
+/**
+ * Extract the outcome of a Stats API schedule game
+ * @param {Object} statsGame - Game object from the schedule endpoint
+ * @returns {Object|null} - { status, awayRuns, homeRuns } or null while the game is not over
+ */
+function extractResult(statsGame) {
+  const state = statsGame.status || {};
+  if (state.abstractGameState !== 'Final') {
+    return null;
+  }
+
+  // Postponed and cancelled games are reported as "Final" without a score
+  const { away, home } = statsGame.teams;
+  if (typeof away.score !== 'number' || typeof home.score !== 'number') {
+    return { status: 'postponed', awayRuns: null, homeRuns: null };
+  }
+
+  return { status: 'final', awayRuns: away.score, homeRuns: home.score };
+}
+
+/**
+ * Grade a single prediction against the final score
+ * @param {Object} prediction - Structured prediction (see prediction-parser.js)
+ * @param {Object} result - Final result with awayRuns and homeRuns
+ * @param {Object} game - Game document with homeTeam and awayTeam
+ * @returns {Object|null} - { correct, awayRunError, homeRunError, homeWinProbability, homeWon, brier, logLoss }
+ *   or null if the prediction has no score
+ */
+function gradePrediction(prediction, result, game) {
+  if (!prediction || !prediction.winner) {
+    return null;
+  }
+
+  const actualWinner = result.awayRuns > result.homeRuns
+    ? game.awayTeam.abbreviation
+    : game.homeTeam.abbreviation;
+
+  return {
+    correct: prediction.winner === actualWinner,
+    awayRunError: Math.abs(prediction.awayRuns - result.awayRuns),
+    homeRunError: Math.abs(prediction.homeRuns - result.homeRuns),
+    ...scoreProbability(prediction.homeWinProbability, result.homeRuns > result.awayRuns)
+  };
+}
+
+/**
+ * Score a home win probability against the outcome
+ * @param {number|null} homeWinProbability - Predicted probability between 0 and 1
+ * @param {boolean} homeWon - Whether the home team won
+ * @returns {Object} - { homeWinProbability, homeWon, brier, logLoss }; scores are null without a probability
+ */
+function scoreProbability(homeWinProbability, homeWon) {
+  if (homeWinProbability == null) {
+    return { homeWinProbability: null, homeWon, brier: null, logLoss: null };
+  }
+
+  const outcome = homeWon ? 1 : 0;
+  // Clamp so a confident miss costs a large but finite log loss
+  const p = Math.min(Math.max(homeWinProbability, LOG_LOSS_EPSILON), 1 - LOG_LOSS_EPSILON);
+  return {
+    homeWinProbability,
+    homeWon,
+    brier: (homeWinProbability - outcome) ** 2,
+    logLoss: -(outcome * Math.log(p) + (1 - outcome) * Math.log(1 - p))
+  };
+}
+
+/**
+ * Summarize the calibration of a set of graded probabilities
+ * @param {Array} grades - Grades from gradePrediction with a homeWinProbability
+ * @param {number} bucketCount - Number of equal-width reliability buckets
+ * @returns {Object} - { sampleSize, brier, logLoss, buckets }
+ */
+function summarizeCalibration(grades, bucketCount = 10) {
+  const scored = grades.filter(g => g && g.brier != null);
+  const buckets = Array.from({ length: bucketCount }, (_, i) => ({
+    lower: i / bucketCount,
+    upper: (i + 1) / bucketCount,
+    count: 0,
+    predicted: 0,
+    observed: 0
+  }));
+
+  for (const grade of scored) {
+    const bucket = buckets[Math.min(Math.floor(grade.homeWinProbability * bucketCount), bucketCount - 1)];
+    bucket.count++;
+    bucket.predicted += grade.homeWinProbability;
+    bucket.observed += grade.homeWon ? 1 : 0;
+  }
+
+  const mean = key => scored.length ? scored.reduce((sum, g) => sum + g[key], 0) / scored.length : null;
+  return {
+    sampleSize: scored.length,
+    brier: mean('brier'),
+    logLoss: mean('logLoss'),
+    // Reliability curve: average predicted probability vs observed home win rate per bucket
+    buckets: buckets.map(b => ({
+      lower: b.lower,
+      upper: b.upper,
+      count: b.count,
+      avgPredicted: b.count ? b.predicted / b.count : null,
+      observedRate: b.count ? b.observed / b.count : null
+    }))
+  };
+}
+
+/**
+ * Grade every provider's prediction for a finished game
+ * @param {Object} storedGame - Document from the predictions collection
+ * @param {Object} result - Final result with awayRuns and homeRuns
+ * @returns {Object} - Grades keyed by provider; ungradeable predictions are omitted
+ */
+function gradeGame(storedGame, result) {
+  const grades = {};
+  for (const [provider, value] of Object.entries(storedGame.predictions || {})) {
+    const grade = gradePrediction(normalizeStoredPrediction(value, storedGame), result, storedGame);
+    if (grade) {
+      grades[provider] = grade;
+    }
+  }
+  return grades;
+}
+
+module.exports = {
+  extractResult,
+  gradePrediction,
+  gradeGame,
+  scoreProbability,
+  summarizeCalibration
+};
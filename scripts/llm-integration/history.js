@@ -0,0 +1,56 @@
+/**
+ * Prediction History
+ *
+ * Turns the versioned snapshots stored in the prediction_history collection
+ * into per-provider timelines that show how each model's pick changed as
+ * game time got closer.
+ */
+
+const { normalizeStoredPrediction } = require('./prediction-parser');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Build per-provider pick timelines for a game
+ * @param {Object} game - Game document from the predictions collection
+ * @param {Array} snapshots - Snapshots for the game, oldest first
+ * @returns {Object} - Timelines keyed by provider
+ */
+function buildPredictionDrift(game, snapshots) {
+  const gameTime = new Date(game.gameDate).getTime();
+  const providers = {};
+
+  for (const snapshot of snapshots) {
+    for (const [provider, value] of Object.entries(snapshot.predictions || {})) {
+      const p = normalizeStoredPrediction(value, game);
+      if (!p) continue;
+
+      const timeline = providers[provider] = providers[provider] || [];
+      const previous = timeline[timeline.length - 1];
+      const generatedAt = p.generatedAt || snapshot.createdAt;
+
+      timeline.push({
+        version: snapshot.version,
+        generatedAt,
+        hoursBeforeGame: Math.round(((gameTime - new Date(generatedAt).getTime()) / HOUR_MS) * 10) / 10,
+        model: p.model || null,
+        promptVersion: p.promptVersion || null,
+        origin: p.origin || 'model',
+        winner: p.winner,
+        awayRuns: p.awayRuns,
+        homeRuns: p.homeRuns,
+        homeWinProbability: p.homeWinProbability ?? null,
+        parseStatus: p.parseStatus,
+        // Set when a run kept this pick because the provider's input had not changed
+        confirmedAt: p.confirmedAt || null,
+        pickChanged: previous ? previous.winner !== p.winner : false
+      });
+    }
+  }
+
+  return providers;
+}
+
+module.exports = {
+  buildPredictionDrift
+};
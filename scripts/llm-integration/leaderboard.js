@@ -0,0 +1,164 @@
+/**
+ * Leaderboard
+ *
+ * Aggregates graded predictions into per-provider accuracy and calibration
+ * figures and per-day trends, and per prompt version so prompt templates can
+ * be compared. Operates on game documents that grade-predictions.js has
+ * marked as final. Baseline fallbacks are excluded so the figures reflect
+ * only real model output.
+ */
+
+const { toEasternDateString } = require('./mlb-stats-api');
+const { normalizeStoredPrediction } = require('./prediction-parser');
+const { getPredictionSources } = require('./sources');
+const { summarizeCalibration } = require('./grading');
+
+/**
+ * Check whether a graded game passes the leaderboard filters
+ * @param {Object} game - Graded game document
+ * @param {Object} filters - { from, to, team, side }
+ * @returns {boolean}
+ */
+function matchesGameFilters(game, { from, to, team, side }) {
+  const date = toEasternDateString(game.gameDate);
+  if (from && date < from) return false;
+  if (to && date > to) return false;
+
+  if (team) {
+    const abbr = team.toUpperCase();
+    const isAway = game.awayTeam.abbreviation === abbr;
+    const isHome = game.homeTeam.abbreviation === abbr;
+    if (!isAway && !isHome) return false;
+    if (side === 'home' && !isHome) return false;
+    if (side === 'away' && !isAway) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Check whether a prediction passes the side filter. With a team filter the
+ * side refers to where that team played (see matchesGameFilters); without one
+ * it selects predictions that picked the home or away side.
+ * @param {Object} prediction - Structured prediction
+ * @param {Object} game - Graded game document
+ * @param {Object} filters - { team, side }
+ * @returns {boolean}
+ */
+function matchesPickFilter(prediction, game, { team, side }) {
+  if (!side || team) return true;
+  const pickedHome = prediction && prediction.winner === game.homeTeam.abbreviation;
+  return side === 'home' ? pickedHome : !pickedHome;
+}
+
+/**
+ * Create an empty accumulator for accuracy stats
+ * @returns {Object}
+ */
+function emptyTally() {
+  return { sampleSize: 0, correct: 0, runError: 0, grades: [] };
+}
+
+/**
+ * Convert an accumulator to the public stats shape
+ * @param {Object} tally - Accumulator from emptyTally()
+ * @param {Object} options - { withBuckets } includes the reliability curve buckets
+ * @returns {Object} - { sampleSize, correct, accuracy, avgRunError, probabilitySampleSize, brier, logLoss }
+ */
+function summarize(tally, { withBuckets = false } = {}) {
+  const calibration = summarizeCalibration(tally.grades);
+  return {
+    sampleSize: tally.sampleSize,
+    correct: tally.correct,
+    accuracy: tally.sampleSize ? tally.correct / tally.sampleSize : null,
+    // Mean absolute error per side, averaged over away and home runs
+    avgRunError: tally.sampleSize ? tally.runError / (tally.sampleSize * 2) : null,
+    probabilitySampleSize: calibration.sampleSize,
+    brier: calibration.brier,
+    logLoss: calibration.logLoss,
+    ...(withBuckets ? { reliability: calibration.buckets } : {})
+  };
+}
+
+/**
+ * Convert per-prompt accumulators to the public shape
+ * @param {Object} byPrompt - { promptVersion: { total, providers: { provider: tally } } }
+ * @param {Array} sources - Prediction sources, for display names
+ * @returns {Array} - [{ promptVersion, ...stats, providers: [{ provider, displayName, ...stats }] }]
+ */
+function summarizePrompts(byPrompt, sources) {
+  return Object.keys(byPrompt).sort().map(promptVersion => ({
+    promptVersion,
+    ...summarize(byPrompt[promptVersion].total),
+    providers: Object.entries(byPrompt[promptVersion].providers)
+      .map(([provider, tally]) => ({ provider, displayName: sources.find(source => source.id === provider).displayName, ...summarize(tally) }))
+      .sort((a, b) => (b.accuracy ?? -1) - (a.accuracy ?? -1))
+  }));
+}
+
+/**
+ * Build the leaderboard from graded games
+ * @param {Array} games - Graded game documents
+ * @param {Object} filters - { from, to, team, side }, all optional
+ * @returns {Object} - { providers: [...], trend: { provider: [{ date, ... }] }, prompts: [...] };
+ *   prompts groups the LLM providers' predictions by the prompt version they were made with
+ */
+function buildLeaderboard(games, filters = {}) {
+  // The consensus and Dratings picks are ranked alongside the LLM providers
+  const sources = getPredictionSources();
+  const providerIds = sources.map(source => source.id);
+  const totals = {};
+  const daily = {};
+  const byPrompt = {};
+  for (const provider of providerIds) {
+    totals[provider] = emptyTally();
+    daily[provider] = {};
+  }
+
+  for (const game of games) {
+    if (!game.grades || !matchesGameFilters(game, filters)) continue;
+    const date = toEasternDateString(game.gameDate);
+
+    for (const provider of providerIds) {
+      const grade = game.grades[provider];
+      if (!grade) continue;
+
+      const prediction = normalizeStoredPrediction((game.predictions || {})[provider], game);
+      // Baseline fallbacks are not the provider's own output
+      if (prediction && prediction.origin === 'fallback') continue;
+      if (!matchesPickFilter(prediction, game, filters)) continue;
+
+      const dayTally = daily[provider][date] = daily[provider][date] || emptyTally();
+      const tallies = [totals[provider], dayTally];
+      // Only provider output carries a prompt version; consensus and Dratings picks do not
+      if (prediction && prediction.promptVersion) {
+        const group = byPrompt[prediction.promptVersion] = byPrompt[prediction.promptVersion] || { total: emptyTally(), providers: {} };
+        group.providers[provider] = group.providers[provider] || emptyTally();
+        tallies.push(group.total, group.providers[provider]);
+      }
+      for (const tally of tallies) {
+        tally.sampleSize++;
+        if (grade.correct) tally.correct++;
+        tally.runError += grade.awayRunError + grade.homeRunError;
+        tally.grades.push(grade);
+      }
+    }
+  }
+
+  const providers = providerIds
+    .map(provider => ({ provider, displayName: sources.find(source => source.id === provider).displayName, ...summarize(totals[provider], { withBuckets: true }) }))
+    .sort((a, b) => (b.accuracy ?? -1) - (a.accuracy ?? -1));
+
+  const trend = {};
+  for (const provider of providerIds) {
+    trend[provider] = Object.keys(daily[provider])
+      .sort()
+      .map(date => ({ date, ...summarize(daily[provider][date]) }));
+  }
+
+  return { providers, trend, prompts: summarizePrompts(byPrompt, sources) };
+}
+
+module.exports = {
+  buildLeaderboard
+};
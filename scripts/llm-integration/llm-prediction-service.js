@@ -2,254 +2,457 @@
  * LLM Prediction Service
  * 
  * This service handles API calls to multiple LLM providers to generate
- * predictions for MLB games. It supports OpenAI, Anthropic, Grok, and DeepSeek.
+ * predictions for MLB games. The providers it queries are declared in
+ * providers.js (OpenAI, Anthropic, Grok and DeepSeek by default).
+ *
+ * In structured output mode (the default) providers are asked for a JSON
+ * object matching prediction-schema.js, through a JSON schema response format
+ * where the provider supports one and through prompt instructions elsewhere.
+ * A reply that fails validation gets one repair prompt. Replies cut off by the
+ * token limit, and replies still invalid after the repair, are reported as
+ * failures so that only well-formed predictions are stored as model output.
+ *
+ * Prompts come from the versioned templates in prompts/ (see
+ * prompt-templates.js). The service has a default template, and each call can
+ * name another one so a run can compare templates.
+ *
+ * Every call's token counts and latency are recorded and priced with the
+ * table in usage.js; each prediction result carries the usage of the calls
+ * made for it.
  */
 
+const crypto = require('crypto');
 const axios = require('axios');
+const { getProviders } = require('./providers');
+const { findTeam, teamProfile } = require('./teams');
+const { toResponseSchema, parseJsonReply } = require('./prediction-schema');
+const { DEFAULT_PROMPT, getTemplate, renderTemplate } = require('./prompt-templates');
+const { getPrices, emptyUsage, readTokens, tokenCost, recordCall } = require('./usage');
+const { RequestScheduler, CircuitOpenError } = require('./request-scheduler');
 require('dotenv').config();
 
-class LLMPredictionService {
-  constructor(apiKeys = {}) {
-    this.apiKeys = {
-      openai: apiKeys.openai || process.env.OPENAI_API_KEY,
-      anthropic: apiKeys.anthropic || process.env.ANTHROPIC_API_KEY,
-      grok: apiKeys.grok || process.env.GROK_API_KEY,
-      deepseek: apiKeys.deepseek || process.env.DEEPSEEK_API_KEY,
-    };
+// "json" asks for a structured reply, "text" for the line-based format read by prediction-parser.js
+const OUTPUT_MODES = ['json', 'text'];
 
-    // Allow overriding the Grok model via environment variable
-    this.grokModel = process.env.GROK_MODEL || 'grok-3-mini-fast-latest';
+class LLMPredictionService {
+  /**
+   * @param {Object} apiKeys - API keys keyed by provider id; defaults to each provider's apiKeyEnv variable
+   * @param {Array} providers - Provider declarations; defaults to the registry in providers.js
+   * @param {Object} options - { baselineSeed, outputMode, prompt, prices, scheduler }; baselineSeed seeds baseline
+   *   predictions and defaults to BASELINE_SEED, outputMode is "json" or "text" and defaults to LLM_OUTPUT_MODE,
+   *   then "json", prompt is the default template id and defaults to LLM_PROMPT, then DEFAULT_PROMPT,
+   *   prices is the price table and defaults to the one in usage.js, scheduler paces the provider calls and
+   *   defaults to a new RequestScheduler for the providers
+   */
+  constructor(apiKeys = {}, providers = getProviders(), options = {}) {
+    this.providers = providers;
+    this.apiKeys = {};
+    this.models = {};
+    for (const provider of providers) {
+      this.apiKeys[provider.id] = apiKeys[provider.id] || process.env[provider.apiKeyEnv];
+      this.models[provider.id] = provider.model;
+    }
+    // Template ids double as the prompt version stored with each prediction
+    this.promptVersion = getTemplate(options.prompt || process.env.LLM_PROMPT || DEFAULT_PROMPT).id;
+    this.baselineSeed = options.baselineSeed ?? process.env.BASELINE_SEED;
+    this.prices = options.prices || getPrices();
+    this.scheduler = options.scheduler || new RequestScheduler(providers);
+    this.outputMode = options.outputMode || process.env.LLM_OUTPUT_MODE || 'json';
+    if (!OUTPUT_MODES.includes(this.outputMode)) {
+      throw new Error(`Unknown output mode "${this.outputMode}"; expected one of: ${OUTPUT_MODES.join(', ')}`);
+    }
   }
 
   /**
-   * Helper to retry a request when rate limited or server errors occur
-   * @param {Function} fn - async function that performs the request
-   * @param {number} retries - number of retry attempts
-   * @param {number} delay - initial delay in ms
+   * Output mode for a provider; a provider's own outputMode wins over the service's
+   * @param {Object} provider - Provider declaration from the registry
+   * @returns {String} - "json" or "text"
    */
-  async requestWithRetry(fn, retries = 3, delay = 1000) {
-    for (let attempt = 0; attempt < retries; attempt++) {
-      try {
-        return await fn();
-      } catch (error) {
-        const status = error.response?.status;
-        const url = error.config?.url;
-        console.warn(`Request to ${url} failed with status ${status}: ${error.message}`);
-        // Retry on rate limiting or server errors
-        if (attempt < retries - 1 && (status === 429 || (status >= 500 && status < 600))) {
-          console.warn(`Retrying in ${delay}ms (attempt ${attempt + 1} of ${retries})...`);
-          await new Promise((res) => setTimeout(res, delay));
-          delay *= 2; // exponential backoff
-        } else {
-          throw error;
-        }
-      }
-    }
+  outputModeFor(provider) {
+    return provider.outputMode || this.outputMode;
   }
 
   /**
    * Generate a prediction prompt for a specific game
    * @param {Object} game - Game data object
+   * @param {String} outputMode - "json" or "text"; selects the answer format asked for
+   * @param {String} promptId - Template id; defaults to the service's template
    * @returns {String} - Formatted prompt for LLM
    */
-  generatePrompt(game) {
+  generatePrompt(game, outputMode = 'text', promptId = this.promptVersion) {
     const { homeTeam, awayTeam, gameTime, venue } = game;
-    
-    return `You are a sports prediction AI specializing in MLB baseball.
-    
-Game Information:
-- Home Team: ${homeTeam.name} (${homeTeam.record})
-- Away Team: ${awayTeam.name} (${awayTeam.record})
-- Game Time: ${gameTime}
-- Venue: ${venue || `${homeTeam.name} Stadium`}
+    const registered = findTeam(homeTeam.abbreviation);
+    const homeVenue = registered ? teamProfile(registered).venue : 'TBD';
 
-Based on the teams' records and matchup, provide a prediction for this game.
+    return renderTemplate(getTemplate(promptId), {
+      homeTeam: homeTeam.name,
+      homeRecord: homeTeam.record,
+      awayTeam: awayTeam.name,
+      awayRecord: awayTeam.record,
+      gameTime,
+      venue: venue || homeVenue,
+      context: this.formatContext(game),
+      answerFormat: outputMode === 'json' ? this.formatJsonInstructions(game) : this.formatTextInstructions(game)
+    });
+  }
 
-Your response MUST follow this exact format:
-1. First line: Score prediction in the format "${awayTeam.name} - ${homeTeam.name}: X-Y" (where X and Y are numbers)
-2. Then 2-3 sentences explaining your reasoning for this prediction
+  /**
+   * Hash everything a provider would be sent for a game: its model, output
+   * mode, template, system message and the filled-in prompt with records,
+   * start time, venue and matchup context. An unchanged hash means asking
+   * again would send the same request.
+   * @param {Object} provider - Provider declaration from the registry
+   * @param {Object} game - Game data object
+   * @param {String} promptId - Template id; defaults to the service's template
+   * @returns {String} - Hex SHA-256 digest
+   */
+  inputHash(provider, game, promptId = this.promptVersion) {
+    const template = getTemplate(promptId);
+    const outputMode = this.outputModeFor(provider);
+    const input = {
+      model: provider.model,
+      outputMode,
+      promptVersion: template.id,
+      system: template.system,
+      prompt: this.generatePrompt(game, outputMode, template.id)
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(input)).digest('hex');
+  }
+
+  /**
+   * Input hashes of a game for several providers
+   * @param {Object} game - Game data object
+   * @param {Array<String>|null} providerIds - Only hash for these providers; all when null
+   * @param {Function|null} promptFor - Returns the template id for a provider id
+   * @returns {Object} - Hash keyed by provider id
+   */
+  inputHashes(game, providerIds = null, promptFor = null) {
+    const providers = providerIds ? this.providers.filter(p => providerIds.includes(p.id)) : this.providers;
+    return Object.fromEntries(providers.map(provider =>
+      [provider.id, this.inputHash(provider, game, promptFor ? promptFor(provider.id) : this.promptVersion)]
+    ));
+  }
 
-Keep your explanation concise and focus only on this specific game.`;
+  /**
+   * Answer format instructions for the line-based text mode
+   * @param {Object} game - Game data object
+   * @returns {String}
+   */
+  formatTextInstructions({ homeTeam, awayTeam }) {
+    return `Your response MUST follow this exact format:
+1. First line: Score prediction in the format "${awayTeam.name} - ${homeTeam.name}: X-Y" (where X and Y are numbers)
+2. Second line: The home team's chance of winning in the format "${homeTeam.name} win probability: P%" (where P is a number from 0 to 100)
+3. Then 2-3 sentences explaining your reasoning for this prediction`;
   }
 
   /**
-   * Get a prediction from OpenAI
+   * Answer format instructions for structured output mode. Providers without
+   * schema support rely on these alone, so the fields are spelled out.
    * @param {Object} game - Game data object
-   * @returns {Promise<{prediction: String, success: boolean}>} - Prediction result
+   * @returns {String}
+   */
+  formatJsonInstructions({ homeTeam, awayTeam }) {
+    return `Respond with only a JSON object, with no other text, containing:
+- "awayRuns": integer runs for the ${awayTeam.name}
+- "homeRuns": integer runs for the ${homeTeam.name} (the scores must differ; games do not end tied)
+- "homeWinProbability": the chance that the ${homeTeam.name} win, a number from 0 to 1
+- "rationale": 2-3 sentences explaining your reasoning for this prediction`;
+  }
+
+  /**
+   * Follow-up prompt asking a provider to fix an invalid structured reply
+   * @param {Array<String>} problems - Validation problems of the previous reply
+   * @returns {String}
+   */
+  generateRepairPrompt(problems) {
+    return `Your previous reply was not a valid prediction: ${problems.join('; ')}. ` +
+      'Reply again with only the corrected JSON object: "awayRuns" and "homeRuns" as different integers, ' +
+      '"homeWinProbability" from 0 to 1 and a short "rationale". Do not add any other text.';
+  }
+
+  /**
+   * Format the matchup context from GameContextBuilder for the prompt
+   * @param {Object} game - Game data object, optionally with a context property
+   * @returns {String} - Prompt lines, or an empty string when there is no context
    */
-  async getOpenAIPrediction(game) {
-    if (!this.apiKeys.openai) {
-      console.log('OpenAI API key not found, using fallback prediction');
-      return { prediction: this.getFallbackPrediction('openai', game), success: false };
+  formatContext(game) {
+    const { context, homeTeam, awayTeam } = game;
+    if (!context) return '';
+
+    const lines = ['', 'Matchup Context:'];
+    const pitcherLine = (team, p) => {
+      if (!p) return `- ${team.name} probable starter: not announced`;
+      return `- ${team.name} probable starter: ${p.name} (${p.wins ?? '?'}-${p.losses ?? '?'}, ${p.era ?? '-'} ERA, ` +
+        `${p.whip ?? '-'} WHIP, ${p.inningsPitched ?? '0'} IP, ${p.strikeOuts ?? 0} K)`;
+    };
+    const formLine = (team, t) => {
+      if (!t) return null;
+      const diff = t.runDifferential == null ? '?' : (t.runDifferential > 0 ? `+${t.runDifferential}` : t.runDifferential);
+      return `- ${team.name} form: last 10 ${t.lastTen || '?'}, home ${t.home || '?'}, away ${t.away || '?'}, run differential ${diff}`;
+    };
+
+    lines.push(pitcherLine(awayTeam, context.probablePitchers?.away));
+    lines.push(pitcherLine(homeTeam, context.probablePitchers?.home));
+    lines.push(formLine(awayTeam, context.teams?.away));
+    lines.push(formLine(homeTeam, context.teams?.home));
+    if (context.headToHead) {
+      const h2h = context.headToHead;
+      lines.push(`- Season series: ${awayTeam.name} ${h2h.awayWins}, ${homeTeam.name} ${h2h.homeWins} (${h2h.gamesPlayed} games)`);
     }
 
-    try {
-      const prompt = this.generatePrompt(game);
-      
-      const response = await this.requestWithRetry(() => axios.post(
-        'https://api.openai.com/v1/chat/completions',
-        {
-          model: 'gpt-4o',
-          messages: [
-            { role: 'system', content: 'You are a sports prediction AI specializing in MLB baseball.' },
-            { role: 'user', content: prompt }
-          ],
-          max_tokens: 150,
-          temperature: 0.7
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.apiKeys.openai}`
-          },
-          timeout: 10000 // 10 second timeout
+    return lines.filter(line => line !== null).join('\n') + '\n';
+  }
+
+  /**
+   * Build the HTTP request for a provider's endpoint style
+   * @param {Object} provider - Provider declaration from the registry
+   * @param {Array} messages - Conversation so far as [{ role, content }], without the system message
+   * @param {String} outputMode - "json" or "text"
+   * @param {String} system - System message; defaults to the one of the service's template
+   * @returns {Object} - { body, headers }
+   */
+  buildRequest(provider, messages, outputMode = 'text', system = getTemplate(this.promptVersion).system) {
+    const apiKey = this.apiKeys[provider.id];
+
+    // Anthropic has no response format option, so structured mode relies on the prompt
+    if (provider.style === 'anthropic') {
+      const body = {
+        model: provider.model,
+        max_tokens: provider.maxTokens,
+        system,
+        messages,
+        ...provider.extraBody
+      };
+      if (provider.temperature != null) body.temperature = provider.temperature;
+
+      return {
+        body,
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01'
         }
-      ));
+      };
+    }
 
-      return { prediction: response.data.choices[0].message.content.trim(), success: true };
-    } catch (error) {
-      console.error('OpenAI API error:', error.message);
-      return { prediction: this.getFallbackPrediction('openai', game), success: false };
+    // OpenAI-style /chat/completions, also spoken by llama.cpp, Ollama and similar servers
+    const body = {
+      model: provider.model,
+      messages: [
+        { role: 'system', content: system },
+        ...messages
+      ],
+      max_tokens: provider.maxTokens,
+      ...provider.extraBody
+    };
+    if (provider.temperature != null) body.temperature = provider.temperature;
+    if (outputMode === 'json' && provider.jsonFormat === 'json_schema') {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'mlb_prediction', strict: true, schema: toResponseSchema() }
+      };
+    } else if (outputMode === 'json' && provider.jsonFormat === 'json_object') {
+      body.response_format = { type: 'json_object' };
     }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+    return { body, headers };
   }
 
   /**
-   * Get a prediction from Anthropic
-   * @param {Object} game - Game data object
-   * @returns {Promise<String>} - Prediction text
+   * Pull the generated text out of a provider response
+   * @param {Object} provider - Provider declaration from the registry
+   * @param {Object} data - Response body
+   * @returns {Object} - { text, truncated }; truncated when the token limit cut the reply off
    */
-  async getAnthropicPrediction(game) {
-    if (!this.apiKeys.anthropic) {
-      console.log('Anthropic API key not found, using fallback prediction');
-      return { prediction: this.getFallbackPrediction('anthropic', game), success: false };
+  extractCompletion(provider, data) {
+    if (provider.style === 'anthropic') {
+      return {
+        text: (data.content[0]?.text || '').trim(),
+        truncated: data.stop_reason === 'max_tokens'
+      };
     }
+    return {
+      text: (data.choices[0].message.content || '').trim(),
+      truncated: data.choices[0].finish_reason === 'length'
+    };
+  }
 
+  /**
+   * Send a conversation to a provider
+   * @param {Object} provider - Provider declaration from the registry
+   * @param {Array} messages - Conversation so far as [{ role, content }]
+   * @param {String} outputMode - "json" or "text"
+   * @param {String} system - System message
+   * @param {Object} usage - Usage record the call is added to, failed or not
+   * @returns {Promise<Object>} - { text, truncated }; throws CircuitOpenError when the provider is paused
+   */
+  async complete(provider, messages, outputMode, system, usage = emptyUsage()) {
+    const { body, headers } = this.buildRequest(provider, messages, outputMode, system);
+    let data = null;
+    let latencyMs = 0;
+    let sent = false;
     try {
-      const prompt = this.generatePrompt(game);
-      
-      const response = await this.requestWithRetry(() => axios.post(
-        'https://api.anthropic.com/v1/messages',
-        {
-          model: 'claude-3-5-sonnet-20241022',
-          max_tokens: 150,
-          messages: [
-            { role: 'user', content: prompt }
-          ]
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': this.apiKeys.anthropic,
-            'anthropic-version': '2023-06-01'
-          },
-          timeout: 10000 // 10 second timeout
+      const response = await this.scheduler.run(provider.id, async () => {
+        sent = true;
+        const startedAt = Date.now();
+        try {
+          return await axios.post(provider.endpoint, body, { headers, timeout: provider.timeoutMs });
+        } finally {
+          latencyMs += Date.now() - startedAt;
         }
-      ));
-
-      return { prediction: response.data.content[0].text.trim(), success: true };
-    } catch (error) {
-      console.error('Anthropic API error:', error.message);
-      return { prediction: this.getFallbackPrediction('anthropic', game), success: false };
+      });
+      data = response.data;
+    } finally {
+      // Latency adds up the attempts, not time queued in the scheduler; failed calls count with
+      // the tokens they report, usually none, and calls refused by an open circuit not at all
+      if (sent) {
+        recordCall(usage, { model: provider.model, ...readTokens(provider.style, data), latencyMs }, this.prices);
+      }
     }
+    return this.extractCompletion(provider, data);
   }
 
   /**
-   * Get a prediction from Grok
+   * Upper estimate of what one game costs: every provider with a key answers
+   * with its full token limit, at roughly four characters per prompt token.
+   * Repair prompts are not included.
    * @param {Object} game - Game data object
-   * @returns {Promise<String>} - Prediction text
+   * @param {Array<String>|null} providerIds - Only count these providers; all when null
+   * @param {Function|null} promptFor - Returns the template id for a provider id
+   * @returns {number} - Estimated cost in USD; unpriced models count as free
    */
-  async getGrokPrediction(game) {
-    if (!this.apiKeys.grok) {
-      console.log('Grok API key not found, using fallback prediction');
-      return { prediction: this.getFallbackPrediction('grok', game), success: false };
+  estimateGameCost(game, providerIds = null, promptFor = null) {
+    const providers = providerIds ? this.providers.filter(p => providerIds.includes(p.id)) : this.providers;
+    let total = 0;
+    for (const provider of providers) {
+      if (provider.requiresApiKey && !this.apiKeys[provider.id]) continue;
+      const template = getTemplate(promptFor ? promptFor(provider.id) : this.promptVersion);
+      const prompt = this.generatePrompt(game, this.outputModeFor(provider), template.id);
+      const inputTokens = Math.ceil((template.system.length + prompt.length) / 4);
+      total += tokenCost(provider.model, { inputTokens, outputTokens: provider.maxTokens }, this.prices) ?? 0;
     }
+    return total;
+  }
 
-    try {
-      const prompt = this.generatePrompt(game);
-      
-      // Updated endpoint for xAI's Grok API
-      const response = await this.requestWithRetry(() => axios.post(
-        'https://api.x.ai/v1/chat/completions',
-        {
-          model: this.grokModel,
-          reasoning_effort: 'low',
-          messages: [
-            { role: 'system', content: 'You are a sports prediction AI specializing in MLB baseball.' },
-            { role: 'user', content: prompt }
-          ],
-          max_tokens: 150,
-          temperature: 0.7
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.apiKeys.grok}`
-          },
-          timeout: 10000 // 10 second timeout
-        }
-      ));
+  /**
+   * Get a validated structured prediction, asking once for a repair when the
+   * first reply is not valid
+   * @param {Object} provider - Provider declaration from the registry
+   * @param {Object} game - Game data object
+   * @param {Object} template - Prompt template
+   * @param {Object} usage - Usage record for the calls
+   * @returns {Promise<Object>} - Prediction result, see getProviderPrediction()
+   */
+  async getStructuredPrediction(provider, game, template, usage) {
+    const messages = [{ role: 'user', content: this.generatePrompt(game, 'json', template.id) }];
+    let reply = await this.complete(provider, messages, 'json', template.system, usage);
+    let repaired = false;
 
-      return { prediction: response.data.choices[0].message.content.trim(), success: true };
-    } catch (error) {
-      console.error('Grok API error:', error.message);
-      return { prediction: this.getFallbackPrediction('grok', game), success: false };
+    for (let attempt = 0; ; attempt++) {
+      if (reply.truncated) {
+        console.warn(`${provider.displayName} reply for game ${game.id} hit the token limit`);
+        return this.failedResult(game, 'truncated', reply.text);
+      }
+
+      const { value, problems } = parseJsonReply(reply.text);
+      if (!problems.length) {
+        return { prediction: this.formatStructuredPrediction(value, game), success: true, outputMode: 'json', repaired };
+      }
+      if (attempt === 1) {
+        console.warn(`${provider.displayName} repair for game ${game.id} is still invalid: ${problems.join('; ')}`);
+        return this.failedResult(game, 'invalid_output', reply.text);
+      }
+
+      console.warn(`${provider.displayName} returned an invalid prediction for game ${game.id} (${problems.join('; ')}); asking for a repair`);
+      messages.push(
+        // Anthropic rejects empty assistant turns
+        { role: 'assistant', content: reply.text || '(empty reply)' },
+        { role: 'user', content: this.generateRepairPrompt(problems) }
+      );
+      reply = await this.complete(provider, messages, 'json', template.system, usage);
+      repaired = true;
     }
   }
 
   /**
-   * Get a prediction from DeepSeek
+   * Write a validated structured prediction in the text format, so it is
+   * stored, parsed and displayed like any other prediction
+   * @param {Object} value - Prediction matching prediction-schema.js
    * @param {Object} game - Game data object
-   * @returns {Promise<String>} - Prediction text
+   * @returns {String} - Prediction text
    */
-  async getDeepSeekPrediction(game) {
-    if (!this.apiKeys.deepseek) {
-      console.log('DeepSeek API key not found, using fallback prediction');
-      return { prediction: this.getFallbackPrediction('deepseek', game), success: false };
+  formatStructuredPrediction(value, game) {
+    const { homeTeam, awayTeam } = game;
+    const percent = Math.round(value.homeWinProbability * 1000) / 10;
+    return `${awayTeam.name} - ${homeTeam.name}: ${value.awayRuns}-${value.homeRuns}\n` +
+      `${homeTeam.name} win probability: ${percent}%\n\n${value.rationale.trim()}`;
+  }
+
+  /**
+   * Get a prediction from a registered provider
+   * @param {Object} provider - Provider declaration from the registry
+   * @param {Object} game - Game data object
+   * @param {String} promptId - Template id; defaults to the service's template
+   * @returns {Promise<Object>} - { prediction, success, outputMode, repaired?, usage } on success;
+   *   { prediction, success: false, fallbackReason, failedOutput?, usage? } with a baseline prediction
+   *   otherwise. usage covers every call made for the prediction (see usage.js).
+   */
+  async getProviderPrediction(provider, game, promptId = this.promptVersion) {
+    if (provider.requiresApiKey && !this.apiKeys[provider.id]) {
+      console.log(`${provider.displayName} API key not found, using fallback prediction`);
+      return this.fallbackResult(game, 'missing_api_key');
     }
 
+    const usage = emptyUsage();
     try {
-      const prompt = this.generatePrompt(game);
-      
-      const response = await this.requestWithRetry(() => axios.post(
-        'https://api.deepseek.com/chat/completions',
-        {
-          model: 'deepseek-chat',
-          messages: [
-            { role: 'system', content: 'You are a sports prediction AI specializing in MLB baseball.' },
-            { role: 'user', content: prompt }
-          ],
-          max_tokens: 150,
-          temperature: 0.7
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.apiKeys.deepseek}`
-          },
-          timeout: 10000 // 10 second timeout
-        }
-      ));
-
-      return { prediction: response.data.choices[0].message.content.trim(), success: true };
+      const result = await this.requestPrediction(provider, game, getTemplate(promptId), usage);
+      return { ...result, usage };
     } catch (error) {
-      console.error('DeepSeek API error:', error.message);
-      return { prediction: this.getFallbackPrediction('deepseek', game), success: false };
+      if (error instanceof CircuitOpenError) {
+        return { ...this.fallbackResult(game, 'circuit_open'), usage };
+      }
+      console.error(`${provider.displayName} API error:`, error.message);
+      return { ...this.fallbackResult(game, 'request_failed'), usage };
+    }
+  }
+
+  /**
+   * Ask a provider for a prediction in its output mode
+   * @param {Object} provider - Provider declaration from the registry
+   * @param {Object} game - Game data object
+   * @param {Object} template - Prompt template
+   * @param {Object} usage - Usage record for the calls
+   * @returns {Promise<Object>} - Prediction result, see getProviderPrediction()
+   */
+  async requestPrediction(provider, game, template, usage) {
+    if (this.outputModeFor(provider) === 'json') {
+      return await this.getStructuredPrediction(provider, game, template, usage);
+    }
+
+    const messages = [{ role: 'user', content: this.generatePrompt(game, 'text', template.id) }];
+    const reply = await this.complete(provider, messages, 'text', template.system, usage);
+    if (reply.truncated) {
+      console.warn(`${provider.displayName} reply for game ${game.id} hit the token limit`);
+      return this.failedResult(game, 'truncated', reply.text);
     }
+    return { prediction: reply.text, success: true, outputMode: 'text' };
   }
 
   /**
-   * Generate a fallback prediction when API calls fail
-   * @param {String} provider - LLM provider name
+   * Generate a baseline prediction when a provider has no key or its call fails.
+   * The pick comes from the teams' records plus home field advantage, not from
+   * a model, and the text says so.
    * @param {Object} game - Game data object
-   * @returns {String} - Fallback prediction text
+   * @returns {String} - Baseline prediction text
    */
-  getFallbackPrediction(provider, game) {
+  getFallbackPrediction(game) {
     const { homeTeam, awayTeam } = game;
     const homeRecord = this.parseRecord(homeTeam.record);
     const awayRecord = this.parseRecord(awayTeam.record);
-    
-    // Get venue safely with fallback
-    const venue = game.venue || `${homeTeam.name} Stadium`;
+    const random = this.createBaselineRandom(game);
     
     // Compare team records to generate a basic prediction
     const homeWinPct = homeRecord.wins / (homeRecord.wins + homeRecord.losses) || 0.5;
@@ -258,51 +461,71 @@ Keep your explanation concise and focus only on this specific game.`;
     // Add home field advantage
     const homeAdvantage = 0.05;
     const adjustedHomeWinPct = homeWinPct + homeAdvantage;
+    const homeFavored = adjustedHomeWinPct > awayWinPct;
     
-    // Generate random but realistic scores
-    let homeScore, awayScore;
-    
-    if (adjustedHomeWinPct > awayWinPct) {
-      homeScore = Math.floor(Math.random() * 4) + 3; // 3-6 runs
-      awayScore = Math.floor(Math.random() * 3) + 1; // 1-3 runs
-    } else {
-      homeScore = Math.floor(Math.random() * 3) + 1; // 1-3 runs
-      awayScore = Math.floor(Math.random() * 4) + 3; // 3-6 runs
-    }
+    // Favorite scores 3-6 runs, underdog 1-3 runs, never tied
+    const favoriteScore = Math.floor(random() * 4) + 3;
+    const underdogScore = Math.min(Math.floor(random() * 3) + 1, favoriteScore - 1);
+    const homeScore = homeFavored ? favoriteScore : underdogScore;
+    const awayScore = homeFavored ? underdogScore : favoriteScore;
     
-    // Format the score prediction line
+    // Format the score prediction and probability lines
     const scoreLine = `${awayTeam.name} - ${homeTeam.name}: ${awayScore}-${homeScore}`;
+    const homeWinProbability = Math.round((adjustedHomeWinPct / (adjustedHomeWinPct + awayWinPct)) * 100);
+    const probabilityLine = `${homeTeam.name} win probability: ${homeWinProbability}%`;
+    const favorite = homeFavored ? homeTeam : awayTeam;
+    const justification = `Baseline pick, not model output: the ${favorite.name} are favored on season record ` +
+      `(${awayTeam.name} ${awayRecord.wins}-${awayRecord.losses}, ${homeTeam.name} ${homeRecord.wins}-${homeRecord.losses}) ` +
+      'with a small home field adjustment.';
     
-    // Add provider-specific justification
-    let justification = '';
-    switch (provider) {
-      case 'openai':
-        justification = adjustedHomeWinPct > awayWinPct
-          ? `The ${homeTeam.name} have a stronger record and home field advantage gives them the edge in this matchup. Their pitching staff has been more consistent recently which should limit the ${awayTeam.name}'s scoring opportunities.`
-          : `Despite playing away, the ${awayTeam.name} have shown better form with their ${awayRecord.wins}-${awayRecord.losses} record compared to the ${homeTeam.name}'s ${homeRecord.wins}-${homeRecord.losses}. The ${awayTeam.name}'s batting lineup has been more productive in recent games.`;
-        break;
-      case 'anthropic':
-        justification = adjustedHomeWinPct > awayWinPct
-          ? `After analyzing both teams' strengths and weaknesses, the ${homeTeam.name} appear to have the advantage playing at home. Their recent performance and pitching rotation matchup favorably against the ${awayTeam.name} in this game.`
-          : `The ${awayTeam.name} have been performing exceptionally well on the road this season, which gives them an edge despite playing away. Their bullpen has been more reliable than the ${homeTeam.name}'s relief pitchers in close game situations.`;
-        break;
-      case 'grok':
-        justification = adjustedHomeWinPct > awayWinPct
-          ? `Looking at the batting averages and bullpen ERA, the ${homeTeam.name} have clear advantages in key statistical categories. Their home record this season suggests they'll continue their strong performance at ${venue}.`
-          : `The ${awayTeam.name} have been road warriors this season with impressive away statistics. Their offensive production has been significantly better than the ${homeTeam.name}'s in the last 10 games.`;
-        break;
-      case 'deepseek':
-        justification = adjustedHomeWinPct > awayWinPct
-          ? `Statistical analysis indicates the ${homeTeam.name} have a ${Math.round((adjustedHomeWinPct / (adjustedHomeWinPct + awayWinPct)) * 100)}% win probability in this matchup. Key factors include their home/away splits and superior performance in one-run games this season.`
-          : `Based on advanced metrics, the ${awayTeam.name} have a ${Math.round((awayWinPct / (adjustedHomeWinPct + awayWinPct)) * 100)}% chance to win despite playing away from home. Their road OPS and pitching matchup advantages are significant factors in this prediction.`;
-        break;
-      default:
-        justification = adjustedHomeWinPct > awayWinPct
-          ? `The ${homeTeam.name} are favored to win at home against the ${awayTeam.name}. Their overall record and home field advantage are key factors in this prediction.`
-          : `The ${awayTeam.name} are expected to win on the road against the ${homeTeam.name}. Their superior record and recent performance trends support this prediction.`;
+    return `${scoreLine}\n${probabilityLine}\n\n${justification}`;
+  }
+
+  /**
+   * Random number source for baseline scores. With a baseline seed configured
+   * the numbers are derived from the seed and game ID, so reruns produce the
+   * same baseline; otherwise Math.random() is used.
+   * @param {Object} game - Game data object
+   * @returns {Function} - Function returning numbers in [0, 1)
+   */
+  createBaselineRandom(game) {
+    if (this.baselineSeed === undefined || this.baselineSeed === '') {
+      return Math.random;
     }
-    
-    return `${scoreLine}\n\n${justification}`;
+
+    // FNV-1a hash of seed and game ID, fed into mulberry32
+    let state = 2166136261;
+    for (const ch of `${this.baselineSeed}:${game.id}`) {
+      state = Math.imul(state ^ ch.charCodeAt(0), 16777619) >>> 0;
+    }
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Build a failed result that carries the baseline prediction
+   * @param {Object} game - Game data object
+   * @param {String} reason - Why the provider's output is unavailable
+   * @returns {{prediction: String, success: boolean, fallbackReason: String}}
+   */
+  fallbackResult(game, reason) {
+    return { prediction: this.getFallbackPrediction(game), success: false, fallbackReason: reason };
+  }
+
+  /**
+   * Build a failed result for a reply that cannot be used, keeping the reply for inspection
+   * @param {Object} game - Game data object
+   * @param {String} reason - "truncated" or "invalid_output"
+   * @param {String} output - The provider's reply
+   * @returns {Object} - Failed result with the baseline prediction and failedOutput
+   */
+  failedResult(game, reason, output) {
+    return { ...this.fallbackResult(game, reason), failedOutput: output };
   }
 
   /**
@@ -325,91 +548,82 @@ Keep your explanation concise and focus only on this specific game.`;
 
   /**
    * Get a prediction for a specific game from a specific provider
-   * @param {String} provider - LLM provider name
+   * @param {String} providerId - Registered provider id
    * @param {Object} game - Game data object
-   * @returns {Promise<String>} - Prediction text
+   * @param {String} promptId - Template id; defaults to the service's template
+   * @returns {Promise<Object>} - Prediction result, see getProviderPrediction()
    */
-  async getPrediction(provider, game) {
+  async getPrediction(providerId, game, promptId = this.promptVersion) {
     try {
-      console.log(`Getting ${provider} prediction for game ${game.id}: ${game.awayTeam.name} vs ${game.homeTeam.name}`);
-      
-      switch (provider.toLowerCase()) {
-        case 'openai':
-          return await this.getOpenAIPrediction(game);
-        case 'anthropic':
-          return await this.getAnthropicPrediction(game);
-        case 'grok':
-          return await this.getGrokPrediction(game);
-        case 'deepseek':
-          return await this.getDeepSeekPrediction(game);
-        default:
-          console.error(`Unknown provider: ${provider}`);
-          return { prediction: this.getFallbackPrediction('default', game), success: false };
+      console.log(`Getting ${providerId} prediction for game ${game.id}: ${game.awayTeam.name} vs ${game.homeTeam.name}`);
+
+      const provider = this.providers.find(p => p.id === providerId.toLowerCase());
+      if (!provider) {
+        console.error(`Unknown provider: ${providerId}`);
+        return this.fallbackResult(game, 'unknown_provider');
       }
+      return await this.getProviderPrediction(provider, game, promptId);
     } catch (error) {
-      console.error(`Error getting ${provider} prediction:`, error.message);
-      return { prediction: this.getFallbackPrediction(provider, game), success: false };
+      console.error(`Error getting ${providerId} prediction:`, error.message);
+      return this.fallbackResult(game, 'request_failed');
     }
   }
 
   /**
-   * Get predictions from all LLM providers for a game
+   * Get predictions from all registered providers for a game
    * @param {Object} game - Game data object
-   * @returns {Promise<Object>} - Object with predictions from all providers
+   * @param {Array<String>|null} providerIds - Only call these providers; all when null
+   * @param {Function|null} promptFor - Returns the template id for a provider id; the service's template when null
+   * @returns {Promise<Object>} - Prediction text keyed by provider id, plus success, fallbackReasons,
+   *   failedOutputs, outputModes, repaired, models, promptVersions, usage and timestamp
    */
-  async getAllPredictions(game) {
+  async getAllPredictions(game, providerIds = null, promptFor = null) {
+    const providers = providerIds ? this.providers.filter(p => providerIds.includes(p.id)) : this.providers;
+    const result = {
+      success: {},
+      fallbackReasons: {},
+      failedOutputs: {},
+      outputModes: {},
+      repaired: {},
+      models: { ...this.models },
+      promptVersions: {},
+      usage: {},
+    };
+    for (const provider of providers) {
+      result.promptVersions[provider.id] = promptFor ? promptFor(provider.id) : this.promptVersion;
+    }
+
     try {
       // Run all API calls in parallel for efficiency
-      const [openai, anthropic, grok, deepseek] = await Promise.all([
-        this.getOpenAIPrediction(game).catch((err) => {
-          console.error('OpenAI prediction failed:', err.message);
-          return { prediction: this.getFallbackPrediction('openai', game), success: false };
-        }),
-        this.getAnthropicPrediction(game).catch((err) => {
-          console.error('Anthropic prediction failed:', err.message);
-          return { prediction: this.getFallbackPrediction('anthropic', game), success: false };
-        }),
-        this.getGrokPrediction(game).catch((err) => {
-          console.error('Grok prediction failed:', err.message);
-          return { prediction: this.getFallbackPrediction('grok', game), success: false };
-        }),
-        this.getDeepSeekPrediction(game).catch((err) => {
-          console.error('DeepSeek prediction failed:', err.message);
-          return { prediction: this.getFallbackPrediction('deepseek', game), success: false };
-        }),
-      ]);
+      const responses = await Promise.all(providers.map(provider =>
+        this.getProviderPrediction(provider, game, result.promptVersions[provider.id]).catch((err) => {
+          console.error(`${provider.displayName} prediction failed:`, err.message);
+          return this.fallbackResult(game, 'request_failed');
+        })
+      ));
 
-      return {
-        openai: openai.prediction,
-        anthropic: anthropic.prediction,
-        grok: grok.prediction,
-        deepseek: deepseek.prediction,
-        success: {
-          openai: openai.success,
-          anthropic: anthropic.success,
-          grok: grok.success,
-          deepseek: deepseek.success,
-        },
-        timestamp: new Date().toISOString(),
-      };
+      providers.forEach((provider, i) => {
+        result[provider.id] = responses[i].prediction;
+        result.success[provider.id] = responses[i].success;
+        result.outputModes[provider.id] = this.outputModeFor(provider);
+        if (!responses[i].success) result.fallbackReasons[provider.id] = responses[i].fallbackReason;
+        if (responses[i].failedOutput !== undefined) result.failedOutputs[provider.id] = responses[i].failedOutput;
+        if (responses[i].repaired) result.repaired[provider.id] = true;
+        if (responses[i].usage) result.usage[provider.id] = responses[i].usage;
+      });
     } catch (error) {
       console.error('Error getting predictions:', error);
       // Even if all API calls fail, return fallback predictions to ensure the process continues
-      return {
-        openai: this.getFallbackPrediction('openai', game),
-        anthropic: this.getFallbackPrediction('anthropic', game),
-        grok: this.getFallbackPrediction('grok', game),
-        deepseek: this.getFallbackPrediction('deepseek', game),
-        success: {
-          openai: false,
-          anthropic: false,
-          grok: false,
-          deepseek: false,
-        },
-        timestamp: new Date().toISOString(),
-        error: error.message,
-      };
+      for (const provider of providers) {
+        result[provider.id] = this.getFallbackPrediction(game);
+        result.success[provider.id] = false;
+        result.fallbackReasons[provider.id] = 'request_failed';
+      }
+      result.error = error.message;
     }
+
+    result.timestamp = new Date().toISOString();
+    return result;
   }
 }
 
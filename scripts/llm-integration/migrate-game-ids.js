@@ -0,0 +1,140 @@
+/**
+ * Migration: date-based game IDs
+ *
+ * Games used to be stored under "away-home" IDs (e.g. "nym-chc"), which
+ * collide on doubleheaders and repeat matchups. This script rewrites every
+ * legacy document in the predictions and prediction_history collections to
+ * the "YYYY-MM-DD-away-home-N" format from game-id.js, keeping the old ID in
+ * legacyGameId so links rendered before the migration still resolve.
+ *
+ * It works on either storage backend (see storage.js). Run with --dry-run to
+ * print the planned changes without writing them.
+ */
+
+const MongoDBService = require('./mongodb-service');
+const { createStorage } = require('./storage');
+const { toEasternDateString } = require('./mlb-stats-api');
+const { buildGameId, isLegacyGameId } = require('./game-id');
+require('dotenv').config();
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Collections holding game IDs, and whether only one document may hold each ID
+const COLLECTIONS = [
+  { name: 'predictions', unique: true },
+  { name: 'prediction_history', unique: false }
+];
+
+const storage = createStorage();
+
+/**
+ * Compute the new ID for a legacy document
+ * @param {Object} doc - Document with gameId, gameDate and team abbreviations
+ * @returns {String} - New game ID
+ */
+function migratedId(doc) {
+  const [awayAbbr, homeAbbr] = doc.gameId.split('-');
+  return buildGameId({
+    date: toEasternDateString(doc.gameDate),
+    awayAbbr,
+    homeAbbr,
+    gameNumber: 1
+  });
+}
+
+/**
+ * Work out the new ID of each legacy document in a collection
+ * @param {Array} docs - Documents that may hold legacy IDs
+ * @param {Array<String>} takenIds - Game IDs already in the collection
+ * @param {Object} collection - { name, unique } from COLLECTIONS
+ * @returns {Array} - [{ doc, gameId }] for the documents to rewrite
+ */
+function planMigration(docs, takenIds, { name, unique }) {
+  const taken = new Set(takenIds);
+  const changes = [];
+
+  for (const doc of docs) {
+    if (!isLegacyGameId(doc.gameId)) continue;
+
+    const gameId = migratedId(doc);
+    if (unique && taken.has(gameId)) {
+      console.warn(`Skipping ${doc.gameId}: ${gameId} already exists in ${name}`);
+      continue;
+    }
+    taken.add(gameId);
+
+    console.log(`${name}: ${doc.gameId} -> ${gameId}`);
+    changes.push({ doc, gameId });
+  }
+
+  return changes;
+}
+
+/**
+ * Rewrite the legacy IDs in one MongoDB collection
+ * @param {Object} db - Connected MongoDB database
+ * @param {Object} collection - { name, unique } from COLLECTIONS
+ * @returns {Promise<number>} - Number of migrated documents
+ */
+async function migrateMongoCollection(db, collection) {
+  const mongoCollection = db.collection(collection.name);
+  const docs = await mongoCollection.find({ gameId: { $regex: /^[a-z]+-[a-z]+$/ } }).toArray();
+  const changes = planMigration(docs, await mongoCollection.distinct('gameId'), collection);
+
+  if (!DRY_RUN) {
+    for (const { doc, gameId } of changes) {
+      await mongoCollection.updateOne(
+        { _id: doc._id },
+        { $set: { gameId, legacyGameId: doc.gameId, gameNumber: doc.gameNumber || 1 } }
+      );
+    }
+  }
+  return changes.length;
+}
+
+/**
+ * Rewrite the legacy IDs in one collection file of the file backend
+ * @param {FileStorageService} fileStorage - Connected file storage
+ * @param {Object} collection - { name, unique } from COLLECTIONS
+ * @returns {number} - Number of migrated documents
+ */
+function migrateFileCollection(fileStorage, collection) {
+  const docs = fileStorage.read(collection.name);
+  const changes = planMigration(docs, docs.map(d => d.gameId), collection);
+
+  if (!DRY_RUN && changes.length) {
+    for (const { doc, gameId } of changes) {
+      Object.assign(doc, { gameId, legacyGameId: doc.gameId, gameNumber: doc.gameNumber || 1 });
+    }
+    fileStorage.write(collection.name, docs);
+  }
+  return changes.length;
+}
+
+// Main function to run the script
+async function main() {
+  try {
+    const connected = await storage.connect();
+    if (!connected) {
+      throw new Error('Failed to connect to storage');
+    }
+
+    const counts = [];
+    for (const collection of COLLECTIONS) {
+      counts.push(storage instanceof MongoDBService
+        ? await migrateMongoCollection(storage.db, collection)
+        : migrateFileCollection(storage, collection));
+    }
+    const [games, snapshots] = counts;
+    console.log(`${DRY_RUN ? 'Would migrate' : 'Migrated'} ${games} games and ${snapshots} history snapshots`);
+
+    await storage.close();
+  } catch (error) {
+    console.error('Error in main function:', error);
+    await storage.close();
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
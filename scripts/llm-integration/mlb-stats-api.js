@@ -0,0 +1,105 @@
+/**
+ * MLB Stats API helpers
+ *
+ * Thin wrappers around the public MLB Stats API (https://statsapi.mlb.com)
+ * shared by the prediction and grading scripts. The API does not require
+ * authentication for schedule and team data.
+ */
+
+const axios = require('axios');
+const { matchesTeam } = require('./prediction-parser');
+const { findTeam, requireTeam, getTeamByStatsApiId, teamProfile } = require('./teams');
+
+const STATS_API_BASE = 'https://statsapi.mlb.com/api/v1';
+
+/**
+ * Format a date as YYYY-MM-DD in Eastern Time, the calendar MLB schedules use
+ * @param {Date} date - Date to format
+ * @returns {String} - Date string such as "2025-06-01"
+ */
+function toEasternDateString(date = new Date()) {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
+/**
+ * Fetch all MLB teams keyed by Stats API team id. Abbreviations follow the
+ * team registry (e.g. "ARI" rather than the Stats API's "AZ").
+ * @returns {Promise<Object>} - Map of team id to { name, abbr }
+ */
+async function fetchTeamMap() {
+  const res = await axios.get(`${STATS_API_BASE}/teams?sportId=1`);
+  const teamMap = {};
+  for (const t of res.data.teams || []) {
+    const registered = getTeamByStatsApiId(t.id);
+    teamMap[t.id] = registered
+      ? { name: registered.name, abbr: registered.abbreviation }
+      : { name: t.name, abbr: t.abbreviation || t.teamCode.toUpperCase() };
+  }
+  return teamMap;
+}
+
+/**
+ * Fetch the schedule for a single day
+ * @param {String} dateStr - Date in YYYY-MM-DD format
+ * @param {Object} options - { hydrate } extra data to include, e.g. "probablePitcher"
+ * @returns {Promise<Array>} - Stats API game objects for that day
+ */
+async function fetchScheduleGames(dateStr, { hydrate } = {}) {
+  const hydrateParam = hydrate ? `&hydrate=${hydrate}` : '';
+  const res = await axios.get(`${STATS_API_BASE}/schedule?sportId=1&date=${dateStr}${hydrateParam}`);
+  const dateData = res.data.dates[0];
+  return dateData ? dateData.games : [];
+}
+
+/**
+ * Resolve a schedule team entry through the team registry
+ * @param {Object} side - g.teams.home or g.teams.away from a schedule game
+ * @param {number} season - Season year, for teams that have relocated
+ * @returns {Object} - Team profile (see teams.js); throws for unknown teams
+ */
+function resolveTeam(side, season = null) {
+  const team = getTeamByStatsApiId(side.team.id) || requireTeam(side.team.name);
+  return teamProfile(team, season);
+}
+
+/**
+ * Find the Stats API game that corresponds to a stored game document
+ * @param {Object} storedGame - Scraped game or document from the predictions collection
+ * @param {Array} scheduleGames - Stats API games for the same day
+ * @param {Object} teamMap - Result of fetchTeamMap()
+ * @returns {Object|null} - Matching Stats API game
+ */
+function findScheduleGame(storedGame, scheduleGames, teamMap) {
+  if (storedGame.gamePk) {
+    const byPk = scheduleGames.find(g => g.gamePk === storedGame.gamePk);
+    if (byPk) return byPk;
+  }
+
+  const sameTeam = (stored, side) => {
+    // Compare registry entries when both sides are known, so renamed teams still match
+    const registered = getTeamByStatsApiId(side.team.id);
+    const storedTeam = findTeam(stored.abbreviation) || findTeam(stored.name);
+    if (registered && storedTeam) return registered === storedTeam;
+
+    const info = teamMap[side.team.id] || { name: side.team.name, abbr: '' };
+    return stored.abbreviation === info.abbr ||
+      matchesTeam(stored.name, { name: info.name, abbreviation: info.abbr });
+  };
+
+  const matchups = scheduleGames.filter(g =>
+    sameTeam(storedGame.awayTeam, g.teams.away) && sameTeam(storedGame.homeTeam, g.teams.home)
+  );
+
+  // Doubleheaders list the same matchup twice; pick the one with the stored game number
+  return matchups.find(g => (g.gameNumber || 1) === (storedGame.gameNumber || 1)) ||
+    (matchups.length === 1 ? matchups[0] : null);
+}
+
+module.exports = {
+  STATS_API_BASE,
+  toEasternDateString,
+  fetchTeamMap,
+  fetchScheduleGames,
+  resolveTeam,
+  findScheduleGame
+};
@@ -6,6 +6,8 @@
  */
 
 const { MongoClient } = require('mongodb');
+const { isLegacyGameId } = require('./game-id');
+const { predictionsToMerge } = require('./prediction-parser');
 require('dotenv').config();
 
 class MongoDBService {
@@ -14,6 +16,8 @@ class MongoDBService {
     this.client = null;
     this.db = null;
     this.predictions = null;
+    this.history = null;
+    this.runs = null;
   }
 
   /**
@@ -33,6 +37,8 @@ class MongoDBService {
       const dbName = process.env.MONGODB_DB_NAME || 'ai-sports-almanac';
       this.db = this.client.db(dbName);
       this.predictions = this.db.collection('predictions');
+      this.history = this.db.collection('prediction_history');
+      this.runs = this.db.collection('runs');
       
       console.log('Connected to MongoDB');
       return true;
@@ -53,9 +59,12 @@ class MongoDBService {
   }
 
   /**
-   * Store predictions for a game
+   * Store predictions for a game. Predictions are merged into the stored
+   * document by source, so a run covering some providers keeps the others, and
+   * a baseline never replaces a stored model pick (see predictionsToMerge()).
+   * The history snapshot keeps every prediction of the run.
    * @param {Object} game - Game data object
-   * @param {Object} predictions - Predictions from all LLM providers
+   * @param {Object} predictions - Parsed predictions keyed by provider (see prediction-parser.js)
    * @returns {Promise<Object>} - Result of the operation
    */
   async storePredictions(game, predictions) {
@@ -70,30 +79,45 @@ class MongoDBService {
       // Create a document with game info and predictions
       const document = {
         gameId: game.id,
+        gamePk: game.gamePk || null,
+        gameNumber: game.gameNumber || 1,
         gameDate: new Date(game.gameTime),
         homeTeam: game.homeTeam,
         awayTeam: game.awayTeam,
         venue: game.venue,
+        context: game.context || null,
         predictions: predictions,
         createdAt: new Date(),
         updatedAt: new Date()
       };
 
+      // Keep every generation as a versioned snapshot before the latest predictions are merged in
+      const snapshot = await this.storeHistorySnapshot(game, predictions);
+      console.log(`Stored prediction snapshot v${snapshot.version} for game ${game.id}`);
+
       // Check if prediction for this game already exists
       const existingPrediction = await this.predictions.findOne({ gameId: game.id });
       
       let result;
       if (existingPrediction) {
+        const predictionFields = {};
+        for (const [source, prediction] of Object.entries(predictionsToMerge(existingPrediction.predictions, predictions))) {
+          predictionFields[`predictions.${source}`] = prediction;
+        }
+
         // Update existing prediction with latest game info and predictions
         result = await this.predictions.updateOne(
           { gameId: game.id },
           {
             $set: {
+              gamePk: game.gamePk || null,
+              gameNumber: game.gameNumber || 1,
               gameDate: new Date(game.gameTime),
               homeTeam: game.homeTeam,
               awayTeam: game.awayTeam,
               venue: game.venue,
-              predictions: predictions,
+              context: game.context || null,
+              ...predictionFields,
               updatedAt: new Date()
             }
           }
@@ -113,8 +137,60 @@ class MongoDBService {
   }
 
   /**
-   * Get predictions for a game
+   * Append a snapshot of a game's predictions to the history collection
+   * @param {Object} game - Game data object
+   * @param {Object} predictions - Parsed predictions keyed by provider, each with model, promptVersion and generatedAt
+   * @returns {Promise<Object>} - The stored snapshot
+   */
+  async storeHistorySnapshot(game, predictions) {
+    const latest = await this.history
+      .find({ gameId: game.id })
+      .sort({ version: -1 })
+      .limit(1)
+      .next();
+
+    const snapshot = {
+      gameId: game.id,
+      gameDate: new Date(game.gameTime),
+      version: latest ? latest.version + 1 : 1,
+      // The context the models were given, so each generation can be audited
+      context: game.context || null,
+      predictions,
+      createdAt: new Date()
+    };
+    await this.history.insertOne(snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Get every stored snapshot of a game's predictions, oldest first
    * @param {String} gameId - Game ID
+   * @returns {Promise<Array>} - Array of snapshots
+   */
+  async getPredictionHistory(gameId) {
+    if (!this.history) {
+      const connected = await this.connect();
+      if (!connected) {
+        return [];
+      }
+    }
+
+    try {
+      const results = await this.history
+        .find({ gameId })
+        .sort({ version: 1 })
+        .toArray();
+
+      return results;
+    } catch (error) {
+      console.error('Error getting prediction history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get predictions for a game
+   * @param {String} gameId - Game ID; legacy "away-home" IDs resolve to the most recent matching game
    * @returns {Promise<Object>} - Game predictions or null if not found
    */
   async getPredictions(gameId) {
@@ -127,7 +203,17 @@ class MongoDBService {
 
     try {
       const result = await this.predictions.findOne({ gameId });
-      return result;
+      if (result || !isLegacyGameId(gameId)) {
+        return result;
+      }
+
+      // Pages rendered before the ID migration still link to "away-home" IDs
+      const legacy = await this.predictions
+        .find({ legacyGameId: gameId })
+        .sort({ gameDate: -1 })
+        .limit(1)
+        .toArray();
+      return legacy[0] || null;
     } catch (error) {
       console.error('Error getting predictions:', error);
       return null;
@@ -135,11 +221,12 @@ class MongoDBService {
   }
 
   /**
-   * Get predictions for all games on a specific date
-   * @param {Date} date - Date to filter by
-   * @returns {Promise<Array>} - Array of game predictions
+   * Get predictions for games starting within a time range
+   * @param {Date} start - Earliest start time, inclusive
+   * @param {Date} end - Latest start time, exclusive
+   * @returns {Promise<Array>} - Array of game predictions ordered by start time
    */
-  async getPredictionsByDate(date) {
+  async getPredictionsBetween(start, end) {
     if (!this.predictions) {
       const connected = await this.connect();
       if (!connected) {
@@ -148,22 +235,11 @@ class MongoDBService {
     }
 
     try {
-      // Create start and end of the day for date filtering
-      const startDate = new Date(date);
-      startDate.setHours(0, 0, 0, 0);
-      
-      const endDate = new Date(date);
-      endDate.setHours(23, 59, 59, 999);
-      
       const results = await this.predictions
-        .find({ 
-          gameDate: { 
-            $gte: startDate, 
-            $lte: endDate 
-          } 
-        })
+        .find({ gameDate: { $gte: start, $lt: end } })
+        .sort({ gameDate: 1 })
         .toArray();
-        
+
       return results;
     } catch (error) {
       console.error('Error getting predictions by date:', error);
@@ -198,6 +274,166 @@ class MongoDBService {
     }
   }
 
+  /**
+   * Get games that started before a given time and have not been graded yet
+   * @param {Date} before - Only include games scheduled before this time
+   * @returns {Promise<Array>} - Array of game predictions
+   */
+  async getUngradedPredictions(before = new Date()) {
+    if (!this.predictions) {
+      const connected = await this.connect();
+      if (!connected) {
+        return [];
+      }
+    }
+
+    try {
+      const results = await this.predictions
+        .find({
+          gameDate: { $lt: before },
+          status: { $nin: ['final', 'postponed'] }
+        })
+        .sort({ gameDate: 1 })
+        .toArray();
+
+      return results;
+    } catch (error) {
+      console.error('Error getting ungraded predictions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Store the final result of a game along with the grade of each prediction
+   * @param {String} gameId - Game ID
+   * @param {Object} result - { status, awayRuns, homeRuns }
+   * @param {Object} grades - Grades keyed by provider (see grading.js)
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async storeGameResult(gameId, result, grades) {
+    if (!this.predictions) {
+      const connected = await this.connect();
+      if (!connected) {
+        return { success: false, error: 'Failed to connect to MongoDB' };
+      }
+    }
+
+    try {
+      const update = await this.predictions.updateOne(
+        { gameId },
+        {
+          $set: {
+            status: result.status,
+            result: { awayRuns: result.awayRuns, homeRuns: result.homeRuns },
+            grades,
+            gradedAt: new Date()
+          }
+        }
+      );
+      console.log(`Stored ${result.status} result for game ${gameId}`);
+      return { success: true, result: update };
+    } catch (error) {
+      console.error('Error storing game result:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get all games that have been graded
+   * @returns {Promise<Array>} - Array of graded game predictions
+   */
+  async getGradedPredictions() {
+    if (!this.predictions) {
+      const connected = await this.connect();
+      if (!connected) {
+        return [];
+      }
+    }
+
+    try {
+      const results = await this.predictions
+        .find({ status: 'final' })
+        .sort({ gameDate: 1 })
+        .toArray();
+
+      return results;
+    } catch (error) {
+      console.error('Error getting graded predictions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Store the report of a prediction update run
+   * @param {Object} report - Run report from fetch-and-predict.js
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async storeRunReport(report) {
+    if (!this.runs) {
+      const connected = await this.connect();
+      if (!connected) {
+        return { success: false, error: 'Failed to connect to MongoDB' };
+      }
+    }
+
+    try {
+      const result = await this.runs.insertOne({
+        ...report,
+        startedAt: new Date(report.startedAt),
+        finishedAt: new Date(report.finishedAt)
+      });
+      return { success: true, result };
+    } catch (error) {
+      console.error('Error storing run report:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the most recent run report
+   * @returns {Promise<Object|null>} - Run report or null when none is stored
+   */
+  async getLatestRun() {
+    if (!this.runs) {
+      const connected = await this.connect();
+      if (!connected) {
+        return null;
+      }
+    }
+
+    try {
+      return await this.runs.find().sort({ startedAt: -1 }).limit(1).next();
+    } catch (error) {
+      console.error('Error getting latest run:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the run reports that started in a time range, oldest first
+   * @param {Date} start - Inclusive start
+   * @param {Date} end - Exclusive end
+   * @returns {Promise<Array>} - Run reports
+   */
+  async getRunReports(start, end) {
+    if (!this.runs) {
+      const connected = await this.connect();
+      if (!connected) {
+        return [];
+      }
+    }
+
+    try {
+      return await this.runs
+        .find({ startedAt: { $gte: start, $lt: end } })
+        .sort({ startedAt: 1 })
+        .toArray();
+    } catch (error) {
+      console.error('Error getting run reports:', error);
+      return [];
+    }
+  }
+
   /**
    * Delete predictions for a game
    * @param {String} gameId - Game ID
@@ -0,0 +1,36 @@
+/**
+ * Prediction Cache
+ *
+ * Decides whether a provider's stored prediction for a game can stand in for
+ * a new call. Each prediction stores the inputHash of what the provider was
+ * sent (see LLMPredictionService.inputHash); while the hash is unchanged and
+ * the prediction is recent, asking again would only repeat the same request.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours a prediction is reused for while its input is unchanged
+const DEFAULT_MAX_AGE_HOURS = 24;
+
+/**
+ * Whether a stored prediction can be reused instead of asking the provider
+ * @param {Object|String|null} stored - Stored prediction for the provider
+ * @param {String} inputHash - Hash of what the provider would be sent now
+ * @param {Object} options - { force, maxAgeHours, now }; force always asks again,
+ *   now is the current time in ms
+ * @returns {boolean} - True only for a model pick with the same hash that is younger than maxAgeHours
+ */
+function canReusePrediction(stored, inputHash, { force = false, maxAgeHours = DEFAULT_MAX_AGE_HOURS, now = Date.now() } = {}) {
+  if (force || !stored || typeof stored !== 'object') return false;
+  // Baselines stood in for failed calls, so the provider is asked again
+  if (stored.origin !== 'model' || !stored.inputHash || stored.inputHash !== inputHash) return false;
+
+  const generatedAt = stored.generatedAt ? new Date(stored.generatedAt).getTime() : NaN;
+  if (Number.isNaN(generatedAt)) return false;
+  return now - generatedAt < maxAgeHours * HOUR_MS;
+}
+
+module.exports = {
+  DEFAULT_MAX_AGE_HOURS,
+  canReusePrediction
+};
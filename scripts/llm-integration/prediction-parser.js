@@ -0,0 +1,202 @@
+/**
+ * Prediction Parser
+ *
+ * Turns the free-form text returned by an LLM provider into a structured
+ * prediction. Providers are asked (see LLMPredictionService.generatePrompt)
+ * to start their answer with a line such as "Away - Home: X-Y", then a
+ * "Home win probability: P%" line and a short rationale; this module extracts
+ * the score, winner and home win probability from those lines.
+ */
+
+const PARSE_STATUS = {
+  OK: 'ok',
+  EMPTY: 'empty',
+  INVALID_FORMAT: 'invalid_format',
+  TEAM_MISMATCH: 'team_mismatch',
+  TIE: 'tie'
+};
+
+// "Away Team - Home Team: 4-3" with optional markdown or list prefixes
+const SCORE_LINE_PATTERN = /^(.+?)\s+[-–—]\s+(.+?):\s*(\d{1,2})\s*[-–—]\s*(\d{1,2})\b/;
+
+// "Home Team win probability: 58%"
+const PROBABILITY_LINE_PATTERN = /^(.*?)\s*win probability:\s*(\d{1,3}(?:\.\d+)?)\s*%/i;
+
+/**
+ * Normalize a team name for loose comparison
+ * @param {String} name - Team name as written by the model or the scraper
+ * @returns {String} - Lowercased name without punctuation
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Check whether a name written by the model refers to the given team
+ * @param {String} written - Team name from the score line
+ * @param {Object} team - Team object with name and abbreviation
+ * @returns {boolean}
+ */
+function matchesTeam(written, team) {
+  const candidate = normalizeName(written);
+  if (!candidate || !team) return false;
+
+  const fullName = normalizeName(team.name);
+  const abbreviation = normalizeName(team.abbreviation);
+  return candidate === fullName ||
+    candidate === abbreviation ||
+    (fullName && (fullName.includes(candidate) || candidate.includes(fullName)));
+}
+
+/**
+ * Strip list numbering and markdown emphasis from a line of model output
+ * @param {String} line - Raw line
+ * @returns {String} - Cleaned line
+ */
+function cleanLine(line) {
+  return line
+    .replace(/[*_`#]/g, '')
+    .replace(/^\s*(\d+[.)]|[-•])\s+/, '')
+    .replace(/^\s*score prediction:\s*/i, '')
+    .trim();
+}
+
+/**
+ * Build a structured prediction that failed to parse
+ * @param {String} rawText - Original model output
+ * @param {String} parseStatus - One of PARSE_STATUS
+ * @returns {Object} - Structured prediction with empty score fields
+ */
+function unparsed(rawText, parseStatus) {
+  return {
+    winner: null,
+    awayRuns: null,
+    homeRuns: null,
+    homeWinProbability: null,
+    rationale: rawText ? rawText.trim() : '',
+    rawText: rawText || '',
+    parseStatus
+  };
+}
+
+/**
+ * Read the home team's win probability from a probability line. Models
+ * sometimes quote the away team's chance instead, which is converted.
+ * @param {String} line - Cleaned line matching PROBABILITY_LINE_PATTERN
+ * @param {Object} game - Game data object with homeTeam and awayTeam
+ * @returns {number|null} - Probability between 0 and 1, or null when out of range
+ */
+function parseHomeWinProbability(line, game) {
+  const [, teamName, percent] = line.match(PROBABILITY_LINE_PATTERN);
+  const value = parseFloat(percent);
+  if (value < 0 || value > 100) return null;
+
+  const probability = value / 100;
+  const isAway = matchesTeam(teamName, game.awayTeam) && !matchesTeam(teamName, game.homeTeam);
+  return isAway ? Math.round((1 - probability) * 1000) / 1000 : probability;
+}
+
+/**
+ * Parse a provider response into a structured prediction
+ * @param {String} text - Raw prediction text from the provider
+ * @param {Object} game - Game data object with homeTeam and awayTeam
+ * @returns {Object} - { winner, awayRuns, homeRuns, homeWinProbability, rationale, rawText, parseStatus }
+ */
+function parsePrediction(text, game) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return unparsed('', PARSE_STATUS.EMPTY);
+  }
+
+  const rawText = text.trim();
+  const lines = rawText.split('\n').map(l => l.trim()).filter(Boolean);
+  const scoreLineIndex = lines.findIndex(l => SCORE_LINE_PATTERN.test(cleanLine(l)));
+
+  if (scoreLineIndex === -1) {
+    return unparsed(rawText, PARSE_STATUS.INVALID_FORMAT);
+  }
+
+  const [, firstName, secondName, firstRuns, secondRuns] = cleanLine(lines[scoreLineIndex]).match(SCORE_LINE_PATTERN);
+  const { homeTeam, awayTeam } = game;
+  let awayRuns;
+  let homeRuns;
+
+  if (matchesTeam(firstName, awayTeam) && matchesTeam(secondName, homeTeam)) {
+    awayRuns = parseInt(firstRuns, 10);
+    homeRuns = parseInt(secondRuns, 10);
+  } else if (matchesTeam(firstName, homeTeam) && matchesTeam(secondName, awayTeam)) {
+    // The model swapped the teams but kept each score next to its team
+    homeRuns = parseInt(firstRuns, 10);
+    awayRuns = parseInt(secondRuns, 10);
+  } else {
+    return unparsed(rawText, PARSE_STATUS.TEAM_MISMATCH);
+  }
+
+  const rest = lines.slice(scoreLineIndex + 1);
+  const probabilityIndex = rest.findIndex(l => PROBABILITY_LINE_PATTERN.test(cleanLine(l)));
+  const homeWinProbability = probabilityIndex === -1
+    ? null
+    : parseHomeWinProbability(cleanLine(rest[probabilityIndex]), game);
+  const rationale = rest.filter((l, i) => i !== probabilityIndex).join(' ');
+
+  if (awayRuns === homeRuns) {
+    return { ...unparsed(rawText, PARSE_STATUS.TIE), awayRuns, homeRuns, homeWinProbability, rationale };
+  }
+
+  return {
+    winner: awayRuns > homeRuns ? awayTeam.abbreviation : homeTeam.abbreviation,
+    awayRuns,
+    homeRuns,
+    homeWinProbability,
+    rationale,
+    rawText,
+    parseStatus: PARSE_STATUS.OK
+  };
+}
+
+/**
+ * Normalize a stored prediction. Documents written before predictions were
+ * parsed hold plain strings, so those are parsed on read.
+ * @param {String|Object} value - Stored prediction
+ * @param {Object} game - Game document with homeTeam and awayTeam
+ * @returns {Object|null} - Structured prediction or null when missing
+ */
+function normalizeStoredPrediction(value, game) {
+  if (!value) return null;
+  if (typeof value === 'string') return parsePrediction(value, game);
+  return value;
+}
+
+/**
+ * Pick the predictions to merge into a stored game document. A baseline that
+ * stood in for a failed call is left out when the document already holds a
+ * model pick from that provider, so a partly failed run never erases real
+ * model output; the baseline still goes into the history snapshot. Stored
+ * predictions without an origin (plain strings or early parsed objects) may
+ * have been baselines themselves, so a new baseline replaces them.
+ * @param {Object|null} stored - Stored predictions keyed by source, or null for a new game
+ * @param {Object} predictions - New predictions keyed by source
+ * @returns {Object} - The new predictions worth writing over the stored ones
+ */
+function predictionsToMerge(stored, predictions) {
+  const merged = {};
+  for (const [source, prediction] of Object.entries(predictions)) {
+    const previous = stored?.[source];
+    // Predictions stored before origins were recorded may be old baselines, so
+    // only a pick known to come from a model is protected
+    if (prediction?.origin === 'fallback' && previous?.origin === 'model') continue;
+    merged[source] = prediction;
+  }
+  return merged;
+}
+
+module.exports = {
+  PARSE_STATUS,
+  matchesTeam,
+  parsePrediction,
+  normalizeStoredPrediction,
+  predictionsToMerge
+};
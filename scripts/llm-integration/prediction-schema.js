@@ -0,0 +1,115 @@
+/**
+ * Prediction Schema
+ *
+ * The JSON shape every provider is asked for in structured output mode. The
+ * same schema is sent as the response format to providers that accept JSON
+ * schemas and is used to validate every reply, whichever way it was
+ * requested. The validator covers the subset of JSON Schema used here.
+ */
+
+const PREDICTION_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['awayRuns', 'homeRuns', 'homeWinProbability', 'rationale'],
+  properties: {
+    awayRuns: { type: 'integer', minimum: 0, maximum: 30, description: 'Predicted runs for the away team' },
+    homeRuns: { type: 'integer', minimum: 0, maximum: 30, description: 'Predicted runs for the home team' },
+    homeWinProbability: { type: 'number', minimum: 0, maximum: 1, description: 'Chance the home team wins, from 0 to 1' },
+    rationale: { type: 'string', minLength: 1, maxLength: 1000, description: '2-3 sentences explaining the prediction' }
+  }
+};
+
+// Range and length keywords are checked here but rejected by some providers'
+// strict schema modes, so the copy sent to providers leaves them out
+const RANGE_KEYWORDS = ['minimum', 'maximum', 'minLength', 'maxLength'];
+
+/**
+ * The schema as sent in a provider's response format
+ * @param {Object} schema - Schema node
+ * @returns {Object} - Copy without range and length keywords
+ */
+function toResponseSchema(schema = PREDICTION_SCHEMA) {
+  const copy = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (RANGE_KEYWORDS.includes(key)) continue;
+    copy[key] = key === 'properties'
+      ? Object.fromEntries(Object.entries(value).map(([name, child]) => [name, toResponseSchema(child)]))
+      : value;
+  }
+  return copy;
+}
+
+/**
+ * Check a value against one schema node
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {String} path - Location of the value, for messages
+ * @returns {Array<String>} - Problems found
+ */
+function checkNode(value, schema, path) {
+  const problems = [];
+  const typeOk = {
+    object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+    integer: v => Number.isInteger(v),
+    number: v => typeof v === 'number' && Number.isFinite(v),
+    string: v => typeof v === 'string'
+  }[schema.type];
+
+  if (!typeOk(value)) {
+    return [`${path} must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}`];
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) problems.push(`${path}.${key} is missing`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (schema.properties[key]) {
+        problems.push(...checkNode(child, schema.properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${path} must be at least ${schema.minimum}`);
+  if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${path} must be at most ${schema.maximum}`);
+  if (schema.minLength !== undefined && value.trim().length < schema.minLength) problems.push(`${path} must not be empty`);
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) problems.push(`${path} must be at most ${schema.maxLength} characters`);
+  return problems;
+}
+
+/**
+ * Validate a structured prediction
+ * @param {*} value - Parsed JSON reply
+ * @returns {Array<String>} - Problems found; empty when the prediction is valid
+ */
+function validatePrediction(value) {
+  const problems = checkNode(value, PREDICTION_SCHEMA, 'prediction');
+  // Baseball games do not end in a tie
+  if (!problems.length && value.awayRuns === value.homeRuns) {
+    problems.push('prediction.awayRuns and prediction.homeRuns must differ');
+  }
+  return problems;
+}
+
+/**
+ * Read the JSON object out of a reply, tolerating a markdown code fence
+ * @param {String} text - Reply text
+ * @returns {Object} - { value, problems }; value is undefined when the text is not JSON
+ */
+function parseJsonReply(text) {
+  const body = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    const value = JSON.parse(body);
+    return { value, problems: validatePrediction(value) };
+  } catch (error) {
+    return { value: undefined, problems: [`reply is not valid JSON (${error.message})`] };
+  }
+}
+
+module.exports = {
+  PREDICTION_SCHEMA,
+  toResponseSchema,
+  validatePrediction,
+  parseJsonReply
+};
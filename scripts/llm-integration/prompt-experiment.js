@@ -0,0 +1,114 @@
+/**
+ * Prompt Experiments
+ *
+ * An experiment splits a run between prompt templates so their accuracy can
+ * be compared once the games are graded. It is a JSON file passed with
+ * --experiment:
+ *
+ *   {
+ *     "name": "pitching-first",
+ *     "unit": "game",
+ *     "variants": ["standard-v5", "pitching-v1"],
+ *     "providers": { "deepseek": "standard-v5" }
+ *   }
+ *
+ * "unit" is what gets a variant: "game" gives every provider the same prompt
+ * for a game, "provider" gives each provider the same prompt for every game.
+ * The variant is picked by hashing the experiment name with the game or
+ * provider id, so reruns keep their assignment. Providers listed under
+ * "providers" always get the template named there; each must be a registered
+ * provider.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getTemplate } = require('./prompt-templates');
+
+const EXPERIMENT_UNITS = ['game', 'provider'];
+
+/**
+ * Check that an experiment can be run
+ * @param {Object} experiment - Parsed experiment config
+ * @param {String} source - Where it came from, for messages
+ * @param {Array<String>|null} providerIds - Registered provider ids; overrides must name one of them
+ */
+function validateExperiment(experiment, source, providerIds = null) {
+  if (!experiment.name) {
+    throw new Error(`Experiment ${source} has no name`);
+  }
+  if (!EXPERIMENT_UNITS.includes(experiment.unit)) {
+    throw new Error(`Experiment ${source} has unknown unit "${experiment.unit}" (expected ${EXPERIMENT_UNITS.join(' or ')})`);
+  }
+  if (!Array.isArray(experiment.variants) || experiment.variants.length < 2) {
+    throw new Error(`Experiment ${source} needs at least two variants`);
+  }
+  if (experiment.variants.some(v => typeof v !== 'string') || new Set(experiment.variants).size !== experiment.variants.length) {
+    throw new Error(`Experiment ${source} variants must be distinct template ids`);
+  }
+  const { providers } = experiment;
+  if (!providers || typeof providers !== 'object' || Array.isArray(providers)) {
+    throw new Error(`Experiment ${source} "providers" must be an object of provider id to template id`);
+  }
+  if (Object.values(providers).some(v => typeof v !== 'string')) {
+    throw new Error(`Experiment ${source} "providers" must map each provider to a template id`);
+  }
+  // A misspelled provider would silently get a hashed variant instead
+  const unknown = providerIds ? Object.keys(providers).filter(id => !providerIds.includes(id)) : [];
+  if (unknown.length) {
+    throw new Error(`Experiment ${source} overrides unknown provider(s): ${unknown.join(', ')}. Registered providers: ${providerIds.join(', ')}`);
+  }
+  // Throws for templates that do not exist
+  [...experiment.variants, ...Object.values(experiment.providers)].forEach(getTemplate);
+}
+
+/**
+ * Read an experiment config file
+ * @param {String} configPath - Path to the JSON file
+ * @param {Array<String>|null} providerIds - Registered provider ids, to check the overrides against
+ * @returns {Object} - { name, unit, variants, providers }
+ */
+function loadExperiment(configPath, providerIds = null) {
+  const resolved = path.resolve(configPath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Experiment config not found: ${resolved}`);
+  }
+  const config = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  // A missing "providers" means no overrides; an explicit null or other value is rejected
+  const experiment = { ...config, providers: config.providers === undefined ? {} : config.providers };
+  validateExperiment(experiment, configPath, providerIds);
+  return experiment;
+}
+
+/**
+ * Hash a string to an unsigned 32-bit integer (FNV-1a)
+ * @param {String} text - Text to hash
+ * @returns {number}
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Pick the prompt template a provider gets for a game
+ * @param {Object} experiment - Experiment from loadExperiment()
+ * @param {Object} unit - { gameId, providerId }
+ * @returns {String} - Template id
+ */
+function assignPrompt(experiment, { gameId, providerId }) {
+  if (experiment.providers[providerId]) {
+    return experiment.providers[providerId];
+  }
+  const key = experiment.unit === 'game' ? gameId : providerId;
+  return experiment.variants[hashString(`${experiment.name}:${key}`) % experiment.variants.length];
+}
+
+module.exports = {
+  EXPERIMENT_UNITS,
+  loadExperiment,
+  assignPrompt
+};
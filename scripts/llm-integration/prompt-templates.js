@@ -0,0 +1,136 @@
+/**
+ * Prompt Templates
+ *
+ * Prediction prompts live in prompts/ as one file per version, named
+ * <name>-v<version>.txt. The file name is the prompt version stored with
+ * every prediction, so a published template is never edited: a change gets a
+ * new file with the next version number. Each file starts with a header
+ * between "---" lines:
+ *
+ *   ---
+ *   description: What this template tries
+ *   system: The system message sent with the prompt
+ *   ---
+ *
+ * The rest of the file is the prompt. {{placeholders}} are filled in for each
+ * game; see PLACEHOLDERS. Predictions stored before templates existed carry
+ * the plain numbers "1" to "4" as their prompt version.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROMPTS_DIR = path.join(__dirname, 'prompts');
+
+// Template used when neither --prompt nor an experiment picks one
+const DEFAULT_PROMPT = 'standard-v5';
+
+const PLACEHOLDERS = [
+  'homeTeam',
+  'homeRecord',
+  'awayTeam',
+  'awayRecord',
+  'gameTime',
+  'venue',
+  // Matchup context lines, or an empty line when there is no context
+  'context',
+  // Answer format instructions for the output mode
+  'answerFormat'
+];
+
+const FILE_PATTERN = /^([a-z0-9]+(?:-[a-z0-9]+)*)-v(\d+)\.txt$/;
+
+/**
+ * Parse one template file
+ * @param {String} id - Template id, the file name without .txt
+ * @param {String} text - File contents
+ * @returns {Object} - { id, name, version, description, system, body }
+ */
+function parseTemplate(id, text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/);
+  if (!match) {
+    throw new Error(`Prompt template ${id} must start with a "---" header`);
+  }
+
+  const header = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const field = line.match(/^(\w+):\s*(.*)$/);
+    if (field) header[field[1]] = field[2].trim();
+  }
+  if (!header.system) {
+    throw new Error(`Prompt template ${id} has no system message`);
+  }
+
+  const body = match[2].trimEnd();
+  const unknown = [...body.matchAll(/\{\{(\w+)\}\}/g)].map(m => m[1]).filter(name => !PLACEHOLDERS.includes(name));
+  if (unknown.length) {
+    throw new Error(`Prompt template ${id} uses unknown placeholder(s): ${[...new Set(unknown)].join(', ')}`);
+  }
+  if (!body.includes('{{answerFormat}}')) {
+    throw new Error(`Prompt template ${id} must include {{answerFormat}}`);
+  }
+
+  const [, name, version] = id.match(/^(.*)-v(\d+)$/);
+  return { id, name, version: parseInt(version, 10), description: header.description || '', system: header.system, body };
+}
+
+/**
+ * Read every template in a directory
+ * @param {String} dir - Template directory
+ * @returns {Map<String, Object>} - Templates keyed by id
+ */
+function loadTemplates(dir = PROMPTS_DIR) {
+  const templates = new Map();
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) continue;
+    const id = file.replace(/\.txt$/, '');
+    templates.set(id, parseTemplate(id, fs.readFileSync(path.join(dir, file), 'utf8')));
+  }
+  return templates;
+}
+
+let registry = null;
+
+/**
+ * Get the templates in prompts/, loading them on first use
+ * @returns {Array} - Templates ordered by id
+ */
+function getTemplates() {
+  if (!registry) {
+    registry = loadTemplates();
+  }
+  return [...registry.values()];
+}
+
+/**
+ * Look up a template, failing loudly for unknown ids
+ * @param {String} id - Template id, e.g. "standard-v5"
+ * @returns {Object} - Template
+ */
+function getTemplate(id) {
+  const template = getTemplates().find(t => t.id === id);
+  if (!template) {
+    throw new Error(`Unknown prompt template "${id}"; available: ${getTemplates().map(t => t.id).join(', ')}`);
+  }
+  return template;
+}
+
+/**
+ * Fill in a template's placeholders
+ * @param {Object} template - Template from getTemplate()
+ * @param {Object} values - Value for each placeholder
+ * @returns {String} - Prompt text
+ */
+function renderTemplate(template, values) {
+  return template.body.replace(/\{\{(\w+)\}\}/g, (_, name) => String(values[name] ?? ''));
+}
+
+module.exports = {
+  DEFAULT_PROMPT,
+  PLACEHOLDERS,
+  loadTemplates,
+  getTemplates,
+  getTemplate,
+  renderTemplate
+};
@@ -0,0 +1,241 @@
+/**
+ * Provider Registry
+ *
+ * Declares every LLM provider the almanac queries. Each entry describes how
+ * to call the provider (endpoint style, URL, model, sampling settings) and
+ * how to present it (display name). The built-in providers below can be
+ * overridden, disabled or extended with a JSON config file, so swapping a
+ * model or adding a provider only needs a config change.
+ *
+ * Config file location: LLM_PROVIDERS_CONFIG, or providers.config.json in
+ * the repository root when present. Format:
+ *
+ *   {
+ *     "providers": [
+ *       { "id": "openai", "model": "gpt-4o-mini" },
+ *       { "id": "deepseek", "enabled": false }
+ *     ]
+ *   }
+ *
+ * Entries whose id matches a built-in provider are merged onto it; other
+ * entries are added as new providers and must give every required field.
+ *
+ * Any OpenAI-compatible server (a self-hosted llama.cpp or Ollama instance,
+ * for example) can be added with style "openai" and a baseUrl instead of a
+ * full endpoint; "/chat/completions" is appended. Providers without an
+ * apiKeyEnv are called without an Authorization header; set
+ * "requiresApiKey": false to send a key only when its variable is set.
+ *
+ * "jsonFormat" says how a provider is asked for structured output:
+ * "json_schema" sends the prediction schema as the response format,
+ * "json_object" asks for any JSON object and "instructions" relies on the
+ * prompt alone. "outputMode" ("json" or "text") overrides LLM_OUTPUT_MODE for
+ * one provider.
+ *
+ * "maxConcurrent" caps a provider's requests in flight and
+ * "requestsPerMinute" its request rate; lower them for local servers and for
+ * accounts on low rate-limit tiers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../../providers.config.json');
+
+// Endpoint styles understood by LLMPredictionService
+const ENDPOINT_STYLES = ['openai', 'anthropic'];
+
+// Ways of asking for structured output, see the header comment
+const JSON_FORMATS = ['json_schema', 'json_object', 'instructions'];
+const OUTPUT_MODES = ['json', 'text'];
+
+const REQUIRED_FIELDS = ['id', 'displayName', 'style', 'model'];
+
+const BUILT_IN_PROVIDERS = [
+  {
+    id: 'openai',
+    displayName: 'OpenAI',
+    style: 'openai',
+    endpoint: 'https://api.openai.com/v1/chat/completions',
+    model: 'gpt-4o',
+    temperature: 0.7,
+    maxTokens: 400,
+    jsonFormat: 'json_schema',
+    apiKeyEnv: 'OPENAI_API_KEY'
+  },
+  {
+    id: 'anthropic',
+    displayName: 'Anthropic',
+    style: 'anthropic',
+    endpoint: 'https://api.anthropic.com/v1/messages',
+    model: 'claude-3-5-sonnet-20241022',
+    temperature: null,
+    maxTokens: 400,
+    jsonFormat: 'instructions',
+    apiKeyEnv: 'ANTHROPIC_API_KEY'
+  },
+  {
+    id: 'grok',
+    displayName: 'Grok',
+    style: 'openai',
+    endpoint: 'https://api.x.ai/v1/chat/completions',
+    // Allow overriding the Grok model via environment variable
+    model: process.env.GROK_MODEL || 'grok-3-mini-fast-latest',
+    temperature: 0.7,
+    maxTokens: 400,
+    jsonFormat: 'json_schema',
+    apiKeyEnv: 'GROK_API_KEY',
+    extraBody: { reasoning_effort: 'low' }
+  },
+  {
+    id: 'deepseek',
+    displayName: 'DeepSeek',
+    style: 'openai',
+    endpoint: 'https://api.deepseek.com/chat/completions',
+    model: 'deepseek-chat',
+    temperature: 0.7,
+    maxTokens: 400,
+    // DeepSeek accepts JSON mode but not schemas
+    jsonFormat: 'json_object',
+    apiKeyEnv: 'DEEPSEEK_API_KEY'
+  }
+];
+
+const DEFAULTS = {
+  temperature: 0.7,
+  maxTokens: 400,
+  jsonFormat: 'instructions',
+  timeoutMs: 10000,
+  // Request pacing, see request-scheduler.js
+  maxConcurrent: 2,
+  requestsPerMinute: 60,
+  enabled: true
+};
+
+/**
+ * Read provider overrides from the config file, if there is one
+ * @param {String} configPath - Path to the JSON config file
+ * @returns {Array} - Provider entries from the file
+ */
+function readConfigFile(configPath) {
+  if (!fs.existsSync(configPath)) {
+    if (process.env.LLM_PROVIDERS_CONFIG) {
+      throw new Error(`Provider config not found: ${configPath}`);
+    }
+    return [];
+  }
+
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  if (!Array.isArray(config.providers)) {
+    throw new Error(`Provider config ${configPath} must contain a "providers" array`);
+  }
+  return config.providers;
+}
+
+/**
+ * Check that a provider declaration can be used
+ * @param {Object} provider - Provider declaration
+ */
+function validateProvider(provider) {
+  const missing = REQUIRED_FIELDS.filter(field => !provider[field]);
+  if (!provider.endpoint) {
+    missing.push('endpoint (or baseUrl)');
+  }
+  if (missing.length) {
+    throw new Error(`Provider "${provider.id || '?'}" is missing ${missing.join(', ')}`);
+  }
+  if (!ENDPOINT_STYLES.includes(provider.style)) {
+    throw new Error(`Provider "${provider.id}" has unknown style "${provider.style}" (expected ${ENDPOINT_STYLES.join(' or ')})`);
+  }
+  if (!JSON_FORMATS.includes(provider.jsonFormat)) {
+    throw new Error(`Provider "${provider.id}" has unknown jsonFormat "${provider.jsonFormat}" (expected one of ${JSON_FORMATS.join(', ')})`);
+  }
+  if (provider.outputMode !== undefined && !OUTPUT_MODES.includes(provider.outputMode)) {
+    throw new Error(`Provider "${provider.id}" has unknown outputMode "${provider.outputMode}" (expected ${OUTPUT_MODES.join(' or ')})`);
+  }
+  for (const field of ['maxConcurrent', 'requestsPerMinute']) {
+    if (!Number.isInteger(provider[field]) || provider[field] < 1) {
+      throw new Error(`Provider "${provider.id}" needs a positive whole number for ${field}`);
+    }
+  }
+}
+
+/**
+ * Fill in derived fields of a provider declaration
+ * @param {Object} provider - Merged provider declaration
+ * @returns {Object} - Provider with endpoint and requiresApiKey resolved
+ */
+function resolveProvider(provider) {
+  const resolved = { ...provider };
+  if (!resolved.endpoint && resolved.baseUrl && resolved.style === 'openai') {
+    resolved.endpoint = `${resolved.baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  }
+  if (resolved.requiresApiKey === undefined) {
+    resolved.requiresApiKey = Boolean(resolved.apiKeyEnv);
+  }
+  return resolved;
+}
+
+/**
+ * Build the list of enabled providers from the built-ins and the config file
+ * @param {String} configPath - Path to the JSON config file
+ * @returns {Array} - Provider declarations in query order
+ */
+function loadProviders(configPath = process.env.LLM_PROVIDERS_CONFIG || DEFAULT_CONFIG_PATH) {
+  const byId = new Map(BUILT_IN_PROVIDERS.map(p => [p.id, { ...DEFAULTS, ...p }]));
+
+  for (const entry of readConfigFile(path.resolve(configPath))) {
+    if (!entry.id) {
+      throw new Error(`Provider config ${configPath} has an entry without an id`);
+    }
+    const merged = { ...DEFAULTS, ...byId.get(entry.id), ...entry };
+    // A baseUrl override replaces the built-in endpoint
+    if (entry.baseUrl && !entry.endpoint) {
+      delete merged.endpoint;
+    }
+    byId.set(entry.id, merged);
+  }
+
+  const providers = [...byId.values()].filter(p => p.enabled).map(resolveProvider);
+  providers.forEach(validateProvider);
+  return providers;
+}
+
+let registry = null;
+
+/**
+ * Get the registered providers, loading them on first use
+ * @returns {Array} - Provider declarations
+ */
+function getProviders() {
+  if (!registry) {
+    registry = loadProviders();
+  }
+  return registry;
+}
+
+/**
+ * Get the ids of the registered providers
+ * @returns {Array<String>}
+ */
+function getProviderIds() {
+  return getProviders().map(p => p.id);
+}
+
+/**
+ * Look up a registered provider
+ * @param {String} id - Provider id
+ * @returns {Object|undefined} - Provider declaration
+ */
+function getProvider(id) {
+  return getProviders().find(p => p.id === id);
+}
+
+module.exports = {
+  ENDPOINT_STYLES,
+  loadProviders,
+  getProviders,
+  getProviderIds,
+  getProvider
+};
@@ -0,0 +1,276 @@
+/**
+ * Request Scheduler
+ *
+ * Paces provider calls across the whole slate. Each provider gets its own
+ * lane with:
+ *
+ * - a concurrency limit (maxConcurrent requests in flight)
+ * - a token bucket refilled at requestsPerMinute
+ * - retries of 429 and 5xx responses, waiting for the Retry-After header when
+ *   there is one and backing off exponentially otherwise; the wait pauses the
+ *   whole lane, not just the failing call
+ * - a circuit breaker: after failureThreshold failed attempts in a row, or a
+ *   Retry-After longer than maxRetryAfterMs, the provider is paused for the
+ *   rest of the run and its queued and later calls fail with CircuitOpenError
+ *
+ * One scheduler lives for one run; a paused provider is not tried again until
+ * the next run.
+ */
+
+const DEFAULT_OPTIONS = {
+  retries: 3,
+  baseDelayMs: 1000,
+  failureThreshold: 5,
+  maxRetryAfterMs: 60000
+};
+
+// Lane settings for providers that do not declare their own
+const DEFAULT_LANE = {
+  maxConcurrent: 2,
+  requestsPerMinute: 60
+};
+
+class CircuitOpenError extends Error {
+  /**
+   * @param {String} providerId - Paused provider
+   * @param {String} reason - Why its circuit opened
+   */
+  constructor(providerId, reason) {
+    super(`${providerId} is paused for the rest of the run: ${reason}`);
+    this.name = 'CircuitOpenError';
+    this.providerId = providerId;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Whether a failed request says something about the provider's health: rate
+ * limits, server errors and requests that got no response at all
+ * @param {Error} error - Request error
+ * @returns {boolean}
+ */
+function isProviderFailure(error) {
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+}
+
+/**
+ * Read a Retry-After header, given in seconds or as an HTTP date
+ * @param {Error} error - Request error
+ * @param {number} now - Current time in ms
+ * @returns {number|null} - Wait in ms, or null without a usable header
+ */
+function readRetryAfter(error, now = Date.now()) {
+  const value = error.response?.headers?.['retry-after'];
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+class RequestScheduler {
+  /**
+   * @param {Array} providers - Provider declarations; maxConcurrent and requestsPerMinute set each lane
+   * @param {Object} options - { retries, baseDelayMs, failureThreshold, maxRetryAfterMs }
+   */
+  constructor(providers = [], options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.lanes = new Map();
+    for (const provider of providers) {
+      this.lanes.set(provider.id, this.createLane(provider));
+    }
+  }
+
+  /**
+   * Create the lane state for a provider
+   * @param {Object} provider - Provider declaration
+   * @returns {Object} - Lane
+   */
+  createLane(provider) {
+    const maxConcurrent = provider.maxConcurrent || DEFAULT_LANE.maxConcurrent;
+    const requestsPerMinute = provider.requestsPerMinute || DEFAULT_LANE.requestsPerMinute;
+    return {
+      id: provider.id,
+      maxConcurrent,
+      active: 0,
+      // The bucket holds one token per concurrent slot, so a lane can start full
+      capacity: maxConcurrent,
+      tokens: maxConcurrent,
+      refillPerMs: requestsPerMinute / 60000,
+      lastRefill: Date.now(),
+      pausedUntil: 0,
+      consecutiveFailures: 0,
+      open: false,
+      openReason: null,
+      // Callbacks of calls waiting for a slot, a token or the end of a pause
+      waiters: new Set(),
+      stats: { requests: 0, retries: 0, rateLimited: 0, rejected: 0, queuedMs: 0 }
+    };
+  }
+
+  /**
+   * Get a provider's lane, creating one with the default settings if needed
+   * @param {String} providerId - Provider id
+   * @returns {Object} - Lane
+   */
+  lane(providerId) {
+    if (!this.lanes.has(providerId)) {
+      this.lanes.set(providerId, this.createLane({ id: providerId }));
+    }
+    return this.lanes.get(providerId);
+  }
+
+  /**
+   * Run a request in a provider's lane, retrying rate limits and server errors
+   * @param {String} providerId - Provider id
+   * @param {Function} fn - Async function that sends the request
+   * @returns {Promise<*>} - What fn resolves to
+   */
+  async run(providerId, fn) {
+    const lane = this.lane(providerId);
+
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire(lane);
+      lane.stats.requests++;
+      try {
+        const result = await fn();
+        lane.consecutiveFailures = 0;
+        return result;
+      } catch (error) {
+        const url = error.config?.url ? ` (${error.config.url})` : '';
+        console.warn(`${lane.id} request${url} failed: ${error.message}`);
+        if (!isProviderFailure(error)) throw error;
+
+        const retryAfter = this.recordFailure(lane, error);
+        // Requests that got no response are not retried, but still count toward the breaker
+        if (lane.open || !error.response || attempt >= this.options.retries - 1) throw error;
+
+        const delay = retryAfter ?? this.options.baseDelayMs * 2 ** attempt;
+        lane.pausedUntil = Math.max(lane.pausedUntil, Date.now() + delay);
+        lane.stats.retries++;
+        console.warn(`Pausing ${lane.id} for ${delay}ms before retrying (attempt ${attempt + 1} of ${this.options.retries})...`);
+      } finally {
+        this.release(lane);
+      }
+    }
+  }
+
+  /**
+   * Count a failed attempt, opening the circuit when the provider looks down
+   * @param {Object} lane - Lane
+   * @param {Error} error - Request error
+   * @returns {number|null} - Retry-After wait in ms, when the response had one
+   */
+  recordFailure(lane, error) {
+    const status = error.response?.status;
+    lane.consecutiveFailures++;
+    if (status === 429) lane.stats.rateLimited++;
+
+    const retryAfter = readRetryAfter(error);
+    if (retryAfter !== null && retryAfter > this.options.maxRetryAfterMs) {
+      this.trip(lane, `asked to retry after ${Math.round(retryAfter / 1000)}s`);
+    } else if (lane.consecutiveFailures >= this.options.failureThreshold) {
+      this.trip(lane, `${lane.consecutiveFailures} failed requests in a row (last: ${status || error.code || error.message})`);
+    }
+    return retryAfter;
+  }
+
+  /**
+   * Open a lane's circuit for the rest of the run
+   * @param {Object} lane - Lane
+   * @param {String} reason - Why, for the error and the run report
+   */
+  trip(lane, reason) {
+    if (lane.open) return;
+    lane.open = true;
+    lane.openReason = reason;
+    console.warn(`Pausing ${lane.id} for the rest of the run: ${reason}`);
+    // Waiting calls wake up and fail instead of sleeping out a pause
+    this.wake(lane);
+  }
+
+  /**
+   * Wait for a slot, a token and the end of any pause in a lane
+   * @param {Object} lane - Lane
+   */
+  async acquire(lane) {
+    const queuedAt = Date.now();
+    for (;;) {
+      if (lane.open) {
+        lane.stats.rejected++;
+        throw new CircuitOpenError(lane.id, lane.openReason);
+      }
+
+      const now = Date.now();
+      lane.tokens = Math.min(lane.capacity, lane.tokens + (now - lane.lastRefill) * lane.refillPerMs);
+      lane.lastRefill = now;
+
+      if (lane.active < lane.maxConcurrent && now >= lane.pausedUntil && lane.tokens >= 1) {
+        lane.active++;
+        lane.tokens -= 1;
+        lane.stats.queuedMs += now - queuedAt;
+        return;
+      }
+
+      // A full lane waits for release(); otherwise sleep until the pause ends or a token is back
+      const wait = lane.active >= lane.maxConcurrent
+        ? null
+        : Math.max(lane.pausedUntil - now, lane.tokens >= 1 ? 0 : Math.ceil((1 - lane.tokens) / lane.refillPerMs), 1);
+      await new Promise(resolve => {
+        const waiter = () => {
+          clearTimeout(timer);
+          lane.waiters.delete(waiter);
+          resolve();
+        };
+        const timer = wait === null ? null : setTimeout(waiter, wait);
+        lane.waiters.add(waiter);
+      });
+    }
+  }
+
+  /**
+   * Free a slot and let the waiting calls check again
+   * @param {Object} lane - Lane
+   */
+  release(lane) {
+    lane.active--;
+    this.wake(lane);
+  }
+
+  /**
+   * Wake every call waiting in a lane
+   * @param {Object} lane - Lane
+   */
+  wake(lane) {
+    for (const waiter of [...lane.waiters]) waiter();
+  }
+
+  /**
+   * Whether a provider is paused for the rest of the run
+   * @param {String} providerId - Provider id
+   * @returns {boolean}
+   */
+  isOpen(providerId) {
+    return this.lanes.get(providerId)?.open || false;
+  }
+
+  /**
+   * Per-provider request counts and circuit state, for the run report
+   * @returns {Object} - { provider: { requests, retries, rateLimited, rejected, queuedMs, paused, pausedReason } }
+   */
+  summary() {
+    const summary = {};
+    for (const lane of this.lanes.values()) {
+      summary[lane.id] = { ...lane.stats, paused: lane.open, pausedReason: lane.openReason };
+    }
+    return summary;
+  }
+}
+
+module.exports = {
+  RequestScheduler,
+  CircuitOpenError,
+  readRetryAfter
+};
@@ -0,0 +1,163 @@
+/**
+ * Site Data
+ *
+ * Shapes stored games for the site. The Express API serves these payloads on
+ * request, and build.js writes the same payloads to static JSON files under
+ * out/data/ so the GitHub Pages copy of the site, which has no API, can show
+ * the latest slate, history and leaderboard. Per-game pages are rendered from
+ * the same formatted games (see game-page.js).
+ */
+
+const { normalizeStoredPrediction } = require('./prediction-parser');
+const { buildLeaderboard } = require('./leaderboard');
+const { buildPredictionDrift } = require('./history');
+const { getPredictionSources } = require('./sources');
+const { findTeam, teamProfile } = require('./teams');
+const { CONSENSUS_SOURCE } = require('./consensus');
+const { DEFAULT_TIME_ZONE, toDateStringInZone, dayRangeInZone } = require('./time-zones');
+
+// Latest time a Date can hold
+const MAX_DATE_MS = 8.64e15;
+
+/**
+ * Add registry details (logo, league, division, time zone) to a stored team
+ * @param {Object} team - Team as stored on the game
+ * @param {Date} gameDate - Start time, to pick the team's name in that season
+ * @returns {Object}
+ */
+function describeTeam(team, gameDate) {
+  const registered = findTeam(team.abbreviation) || findTeam(team.name);
+  if (!registered) return team;
+  const { venue, ...profile } = teamProfile(registered, new Date(gameDate).getUTCFullYear());
+  return { ...team, ...profile, record: team.record };
+}
+
+/**
+ * Older documents carry made-up "<home team> Stadium" venues; use the
+ * registry's ballpark instead
+ * @param {Object} g - Stored game document
+ * @returns {String}
+ */
+function describeVenue(g) {
+  const registered = findTeam(g.homeTeam.abbreviation) || findTeam(g.homeTeam.name);
+  if (registered && (!g.venue || g.venue === `${g.homeTeam.name} Stadium`)) {
+    return teamProfile(registered, new Date(g.gameDate).getUTCFullYear()).venue;
+  }
+  return g.venue;
+}
+
+/**
+ * Shape a stored game document for the site, including parsed predictions and grades
+ * @param {Object} g - Stored game document
+ * @returns {Object}
+ */
+function formatGame(g) {
+  return {
+    gameId: g.gameId,
+    gameTime: g.gameDate,
+    homeTeam: describeTeam(g.homeTeam, g.gameDate),
+    awayTeam: describeTeam(g.awayTeam, g.gameDate),
+    venue: describeVenue(g),
+    context: g.context || null,
+    status: g.status || 'scheduled',
+    result: g.result || null,
+    split: Boolean(g.predictions[CONSENSUS_SOURCE.id]?.split),
+    // The consensus pick comes first, then each provider and the Dratings model
+    predictions: getPredictionSources()
+      .filter(({ id }) => g.predictions[id])
+      .map(({ id: k, displayName }) => {
+        const p = normalizeStoredPrediction(g.predictions[k], g);
+        const grade = (g.grades || {})[k];
+        return {
+          source: k,
+          displayName,
+          text: p.rawText,
+          winner: p.winner,
+          awayRuns: p.awayRuns,
+          homeRuns: p.homeRuns,
+          homeWinProbability: p.homeWinProbability ?? null,
+          rationale: p.rationale,
+          parseStatus: p.parseStatus,
+          origin: p.origin || 'model',
+          fallbackReason: p.fallbackReason || null,
+          promptVersion: p.promptVersion || null,
+          agreement: p.agreement ?? null,
+          split: p.split ?? null,
+          correct: grade ? grade.correct : null,
+          awayRunError: grade ? grade.awayRunError : null,
+          homeRunError: grade ? grade.homeRunError : null,
+          brier: grade?.brier ?? null,
+          logLoss: grade?.logLoss ?? null
+        };
+      })
+  };
+}
+
+/**
+ * Load the games for a range of days, with day boundaries in a time zone
+ * @param {Object} storage - Storage backend (see storage.js)
+ * @param {Object} options - { from, to, timeZone, latestIfEmpty }; with
+ *   latestIfEmpty an empty range is replaced by the most recently updated games
+ * @returns {Promise<Object>} - { from, to, timeZone, fallback, fallbackReason?, games }
+ */
+async function loadSlate(storage, { from, to, timeZone = DEFAULT_TIME_ZONE, latestIfEmpty = false }) {
+  const { start, end } = dayRangeInZone(from, to, timeZone);
+  const games = await storage.getPredictionsBetween(start, end);
+  const slate = { from, to, timeZone, fallback: false, games: games.map(formatGame) };
+
+  if (!games.length && latestIfEmpty) {
+    slate.fallback = true;
+    slate.fallbackReason = `No games on ${from}; showing the most recently updated games instead`;
+    slate.games = (await storage.getLatestPredictions()).map(formatGame);
+  }
+  return slate;
+}
+
+/**
+ * Load the stored generations of a game, grouped by provider
+ * @param {Object} storage - Storage backend
+ * @param {String} gameId - Game ID
+ * @returns {Promise<Object|null>} - { gameId, gameTime, snapshotCount, providers }, or null for unknown games
+ */
+async function loadGameHistory(storage, gameId) {
+  const g = await storage.getPredictions(gameId);
+  if (!g) return null;
+
+  const snapshots = await storage.getPredictionHistory(g.gameId);
+  return {
+    gameId: g.gameId,
+    gameTime: g.gameDate,
+    snapshotCount: snapshots.length,
+    providers: buildPredictionDrift(g, snapshots)
+  };
+}
+
+/**
+ * Build everything the static site needs: today's slate in Eastern time, the
+ * history of each game on it, the unfiltered leaderboard and every stored
+ * game for the per-game pages
+ * @param {Object} storage - Connected storage backend
+ * @param {Date} now - Time of the export
+ * @returns {Promise<Object>} - { slate, history, leaderboard, games } with history keyed by game ID
+ */
+async function buildStaticData(storage, now = new Date()) {
+  const today = toDateStringInZone(now, DEFAULT_TIME_ZONE);
+  const slate = await loadSlate(storage, { from: today, to: today, latestIfEmpty: true });
+
+  const history = {};
+  for (const game of slate.games) {
+    history[game.gameId] = await loadGameHistory(storage, game.gameId);
+  }
+
+  const leaderboard = buildLeaderboard(await storage.getGradedPredictions());
+  // Shared game links should keep working, so every stored game gets a page
+  const games = (await storage.getPredictionsBetween(new Date(0), new Date(MAX_DATE_MS))).map(formatGame);
+  return { slate: { ...slate, generatedAt: now.toISOString() }, history, leaderboard, games };
+}
+
+module.exports = {
+  formatGame,
+  loadSlate,
+  loadGameHistory,
+  buildStaticData
+};
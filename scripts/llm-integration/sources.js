@@ -0,0 +1,23 @@
+/**
+ * Prediction Sources
+ *
+ * Everything that produces a stored, graded prediction for a game: the
+ * consensus pick, each registered LLM provider and the Dratings statistical
+ * model. Only the LLM providers are called by LLMPredictionService.
+ */
+
+const { getProviders } = require('./providers');
+const { CONSENSUS_SOURCE } = require('./consensus');
+const { DRATINGS_SOURCE } = require('./dratings');
+
+/**
+ * Get all prediction sources in display order
+ * @returns {Array} - [{ id, displayName, ... }] with the consensus first
+ */
+function getPredictionSources() {
+  return [CONSENSUS_SOURCE, ...getProviders(), DRATINGS_SOURCE];
+}
+
+module.exports = {
+  getPredictionSources
+};
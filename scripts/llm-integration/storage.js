@@ -0,0 +1,36 @@
+/**
+ * Storage backend selection
+ *
+ * Predictions, history snapshots, results and run reports can live in MongoDB
+ * (MongoDBService) or in local JSON files (FileStorageService). Both expose the
+ * same methods: connect, close, storePredictions, getPredictionHistory,
+ * getPredictions, getPredictionsBetween, getLatestPredictions,
+ * getUngradedPredictions, storeGameResult, getGradedPredictions,
+ * storeRunReport, getLatestRun, getRunReports and deletePredictions.
+ */
+
+const MongoDBService = require('./mongodb-service');
+const FileStorageService = require('./file-storage-service');
+require('dotenv').config();
+
+const STORAGE_BACKENDS = ['mongodb', 'file'];
+
+/**
+ * Create the configured storage backend. STORAGE_BACKEND picks one
+ * explicitly; otherwise MongoDB is used when MONGODB_URI is set and local
+ * files when it is not.
+ * @param {String} backend - "mongodb" or "file"; defaults to the environment
+ * @returns {MongoDBService|FileStorageService}
+ */
+function createStorage(backend = process.env.STORAGE_BACKEND) {
+  const selected = backend || (process.env.MONGODB_URI ? 'mongodb' : 'file');
+  if (!STORAGE_BACKENDS.includes(selected)) {
+    throw new Error(`Unknown storage backend "${selected}"; expected one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+  return selected === 'mongodb' ? new MongoDBService() : new FileStorageService();
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  createStorage
+};
@@ -0,0 +1,158 @@
+/**
+ * Team Registry
+ *
+ * The one place that knows about MLB teams: abbreviation, name variants used
+ * by Dratings and the Stats API, league and division, home ballpark, local
+ * time zone, logo and Stats API id. Relocations and temporary homes are kept
+ * in each team's history, so older seasons resolve to the name and ballpark
+ * the team had then. Lookups that cannot be resolved throw instead of guessing
+ * an abbreviation.
+ */
+
+const LOGO_DIR = '/team-logos';
+const DEFAULT_LOGO = `${LOGO_DIR}/default.svg`;
+
+const TEAMS = [
+  { abbreviation: 'ARI', name: 'Arizona Diamondbacks', statsApiId: 109, league: 'NL', division: 'West', venue: 'Chase Field', timeZone: 'America/Phoenix', aliases: ['Arizona', "Arizona D'Backs", 'Arizona D-backs', 'AZ'] },
+  { abbreviation: 'ATH', name: 'Athletics', statsApiId: 133, league: 'AL', division: 'West', venue: 'Sutter Health Park', timeZone: 'America/Los_Angeles', logo: 'oak_logo.svg', aliases: ["A's", 'Sacramento Athletics', 'Las Vegas Athletics'],
+    // Left Oakland after the 2024 season
+    history: [{ until: 2024, abbreviation: 'OAK', name: 'Oakland Athletics', venue: 'Oakland Coliseum', aliases: ['Oakland', "Oakland A's"] }] },
+  { abbreviation: 'ATL', name: 'Atlanta Braves', statsApiId: 144, league: 'NL', division: 'East', venue: 'Truist Park', timeZone: 'America/New_York', aliases: ['Atlanta'] },
+  { abbreviation: 'BAL', name: 'Baltimore Orioles', statsApiId: 110, league: 'AL', division: 'East', venue: 'Oriole Park at Camden Yards', timeZone: 'America/New_York', aliases: ['Baltimore'] },
+  { abbreviation: 'BOS', name: 'Boston Red Sox', statsApiId: 111, league: 'AL', division: 'East', venue: 'Fenway Park', timeZone: 'America/New_York', aliases: ['Boston'] },
+  { abbreviation: 'CHC', name: 'Chicago Cubs', statsApiId: 112, league: 'NL', division: 'Central', venue: 'Wrigley Field', timeZone: 'America/Chicago', aliases: ['Chi Cubs'] },
+  { abbreviation: 'CWS', name: 'Chicago White Sox', statsApiId: 145, league: 'AL', division: 'Central', venue: 'Rate Field', timeZone: 'America/Chicago', aliases: ['Chi White Sox', 'CHW'],
+    history: [{ until: 2024, venue: 'Guaranteed Rate Field' }] },
+  { abbreviation: 'CIN', name: 'Cincinnati Reds', statsApiId: 113, league: 'NL', division: 'Central', venue: 'Great American Ball Park', timeZone: 'America/New_York', aliases: ['Cincinnati'] },
+  { abbreviation: 'CLE', name: 'Cleveland Guardians', statsApiId: 114, league: 'AL', division: 'Central', venue: 'Progressive Field', timeZone: 'America/New_York', aliases: ['Cleveland'] },
+  { abbreviation: 'COL', name: 'Colorado Rockies', statsApiId: 115, league: 'NL', division: 'West', venue: 'Coors Field', timeZone: 'America/Denver', aliases: ['Colorado'] },
+  { abbreviation: 'DET', name: 'Detroit Tigers', statsApiId: 116, league: 'AL', division: 'Central', venue: 'Comerica Park', timeZone: 'America/Detroit', aliases: ['Detroit'] },
+  { abbreviation: 'HOU', name: 'Houston Astros', statsApiId: 117, league: 'AL', division: 'West', venue: 'Daikin Park', timeZone: 'America/Chicago', aliases: ['Houston'],
+    history: [{ until: 2024, venue: 'Minute Maid Park' }] },
+  { abbreviation: 'KC', name: 'Kansas City Royals', statsApiId: 118, league: 'AL', division: 'Central', venue: 'Kauffman Stadium', timeZone: 'America/Chicago', aliases: ['Kansas City', 'KCR'] },
+  { abbreviation: 'LAA', name: 'Los Angeles Angels', statsApiId: 108, league: 'AL', division: 'West', venue: 'Angel Stadium', timeZone: 'America/Los_Angeles', aliases: ['LA Angels'] },
+  { abbreviation: 'LAD', name: 'Los Angeles Dodgers', statsApiId: 119, league: 'NL', division: 'West', venue: 'Dodger Stadium', timeZone: 'America/Los_Angeles', aliases: ['LA Dodgers'] },
+  { abbreviation: 'MIA', name: 'Miami Marlins', statsApiId: 146, league: 'NL', division: 'East', venue: 'loanDepot park', timeZone: 'America/New_York', aliases: ['Miami'] },
+  { abbreviation: 'MIL', name: 'Milwaukee Brewers', statsApiId: 158, league: 'NL', division: 'Central', venue: 'American Family Field', timeZone: 'America/Chicago', aliases: ['Milwaukee'] },
+  { abbreviation: 'MIN', name: 'Minnesota Twins', statsApiId: 142, league: 'AL', division: 'Central', venue: 'Target Field', timeZone: 'America/Chicago', aliases: ['Minnesota'] },
+  { abbreviation: 'NYM', name: 'New York Mets', statsApiId: 121, league: 'NL', division: 'East', venue: 'Citi Field', timeZone: 'America/New_York', aliases: ['NY Mets'] },
+  { abbreviation: 'NYY', name: 'New York Yankees', statsApiId: 147, league: 'AL', division: 'East', venue: 'Yankee Stadium', timeZone: 'America/New_York', aliases: ['NY Yankees'] },
+  { abbreviation: 'PHI', name: 'Philadelphia Phillies', statsApiId: 143, league: 'NL', division: 'East', venue: 'Citizens Bank Park', timeZone: 'America/New_York', aliases: ['Philadelphia'] },
+  { abbreviation: 'PIT', name: 'Pittsburgh Pirates', statsApiId: 134, league: 'NL', division: 'Central', venue: 'PNC Park', timeZone: 'America/New_York', aliases: ['Pittsburgh'] },
+  { abbreviation: 'SD', name: 'San Diego Padres', statsApiId: 135, league: 'NL', division: 'West', venue: 'Petco Park', timeZone: 'America/Los_Angeles', aliases: ['San Diego', 'SDP'] },
+  { abbreviation: 'SEA', name: 'Seattle Mariners', statsApiId: 136, league: 'AL', division: 'West', venue: 'T-Mobile Park', timeZone: 'America/Los_Angeles', aliases: ['Seattle'] },
+  { abbreviation: 'SF', name: 'San Francisco Giants', statsApiId: 137, league: 'NL', division: 'West', venue: 'Oracle Park', timeZone: 'America/Los_Angeles', aliases: ['San Francisco', 'SFG'] },
+  { abbreviation: 'STL', name: 'St. Louis Cardinals', statsApiId: 138, league: 'NL', division: 'Central', venue: 'Busch Stadium', timeZone: 'America/Chicago', aliases: ['St. Louis'] },
+  { abbreviation: 'TB', name: 'Tampa Bay Rays', statsApiId: 139, league: 'AL', division: 'East', venue: 'George M. Steinbrenner Field', timeZone: 'America/New_York', aliases: ['Tampa Bay', 'TBR'],
+    // Played the 2025 season in Tampa while Tropicana Field was repaired
+    history: [{ until: 2024, venue: 'Tropicana Field' }] },
+  { abbreviation: 'TEX', name: 'Texas Rangers', statsApiId: 140, league: 'AL', division: 'West', venue: 'Globe Life Field', timeZone: 'America/Chicago', aliases: ['Texas'] },
+  { abbreviation: 'TOR', name: 'Toronto Blue Jays', statsApiId: 141, league: 'AL', division: 'East', venue: 'Rogers Centre', timeZone: 'America/Toronto', aliases: ['Toronto'] },
+  { abbreviation: 'WSH', name: 'Washington Nationals', statsApiId: 120, league: 'NL', division: 'East', venue: 'Nationals Park', timeZone: 'America/New_York', aliases: ['Washington', 'WSN'] }
+];
+
+/**
+ * Normalize a team name for lookups
+ * @param {String} name - Name, alias or abbreviation as written anywhere
+ * @returns {String}
+ */
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[.'’]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// Every known spelling, current or historical, keyed by normalized name
+const LOOKUP = new Map();
+// Full team names only, for finding a name inside longer text
+const FULL_NAMES = new Map();
+for (const team of TEAMS) {
+  const names = [team.abbreviation, team.name, ...team.aliases];
+  const fullNames = [team.name];
+  for (const era of team.history || []) {
+    names.push(...[era.abbreviation, era.name, ...(era.aliases || [])].filter(Boolean));
+    if (era.name) fullNames.push(era.name);
+  }
+  for (const name of names) {
+    LOOKUP.set(normalizeName(name), team);
+  }
+  for (const name of fullNames) {
+    FULL_NAMES.set(normalizeName(name), team);
+  }
+}
+// Longest names first, so "Oakland Athletics" wins over "Athletics"
+const FULL_NAME_KEYS = [...FULL_NAMES.keys()].sort((a, b) => b.length - a.length);
+
+/**
+ * Find a team by name, alias or abbreviation
+ * @param {String} name - e.g. "Chi White Sox", "NYY" or "Oakland Athletics"
+ * @returns {Object|null} - Registry entry or null when unknown
+ */
+function findTeam(name) {
+  if (!name) return null;
+  const normalized = normalizeName(name);
+  if (LOOKUP.has(normalized)) return LOOKUP.get(normalized);
+
+  // Scraped cells sometimes carry extra text around the full name; a city
+  // alone is not enough, so "Washington Senators" stays unknown
+  const key = FULL_NAME_KEYS.find(k => ` ${normalized} `.includes(` ${k} `));
+  return key ? FULL_NAMES.get(key) : null;
+}
+
+/**
+ * Find a team by name, failing loudly when it is not in the registry
+ * @param {String} name - Name, alias or abbreviation
+ * @returns {Object} - Registry entry
+ */
+function requireTeam(name) {
+  const team = findTeam(name);
+  if (!team) {
+    throw new Error(`Unknown team "${name}"; add it to the registry in teams.js`);
+  }
+  return team;
+}
+
+/**
+ * Find a team by its MLB Stats API id
+ * @param {number} id - Stats API team id
+ * @returns {Object|null} - Registry entry or null when unknown
+ */
+function getTeamByStatsApiId(id) {
+  return TEAMS.find(team => team.statsApiId === id) || null;
+}
+
+/**
+ * Describe a team as it was in a given season
+ * @param {Object} team - Registry entry
+ * @param {number} season - Season year; defaults to the current team
+ * @returns {Object} - { abbreviation, name, league, division, venue, timeZone, logo, statsApiId }
+ */
+function teamProfile(team, season = null) {
+  const era = season ? (team.history || []).find(h => season <= h.until) : null;
+  const current = { ...team, ...(era || {}) };
+  return {
+    abbreviation: current.abbreviation,
+    name: current.name,
+    league: team.league,
+    division: team.division,
+    venue: current.venue,
+    timeZone: current.timeZone,
+    logo: `${LOGO_DIR}/${team.logo || `${team.abbreviation.toLowerCase()}_logo.svg`}`,
+    statsApiId: team.statsApiId
+  };
+}
+
+/**
+ * Get every team as of the current season
+ * @returns {Array} - Team profiles ordered by abbreviation
+ */
+function getTeams() {
+  return TEAMS.map(team => teamProfile(team));
+}
+
+module.exports = {
+  DEFAULT_LOGO,
+  findTeam,
+  requireTeam,
+  getTeamByStatsApiId,
+  teamProfile,
+  getTeams
+};
@@ -0,0 +1,102 @@
+/**
+ * Time zone helpers
+ *
+ * Calendar-day arithmetic in an arbitrary IANA time zone using only Intl, so
+ * that "games on 2025-06-01 in America/Chicago" means the same instants
+ * whether the server runs in UTC or anywhere else.
+ */
+
+const DEFAULT_TIME_ZONE = 'America/New_York';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a string is a time zone Intl understands
+ * @param {String} timeZone - IANA time zone such as "America/Chicago"
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Format an instant as the YYYY-MM-DD calendar date in a time zone
+ * @param {Date} date - Instant to format
+ * @param {String} timeZone - IANA time zone
+ * @returns {String} - Date string such as "2025-06-01"
+ */
+function toDateStringInZone(date, timeZone = DEFAULT_TIME_ZONE) {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone });
+}
+
+/**
+ * Offset of a time zone from UTC at a given instant
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA time zone
+ * @returns {number} - Offset in milliseconds, e.g. -5 hours for Chicago in summer
+ */
+function zoneOffset(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date)) {
+    parts[type] = value;
+  }
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant a calendar day starts in a time zone
+ * @param {String} dateStr - Date in YYYY-MM-DD format
+ * @param {String} timeZone - IANA time zone
+ * @returns {Date} - Local midnight as an instant
+ */
+function startOfDayInZone(dateStr, timeZone = DEFAULT_TIME_ZONE) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const utcMidnight = Date.UTC(year, month - 1, day);
+  const guess = utcMidnight - zoneOffset(new Date(utcMidnight), timeZone);
+  // Re-check the offset at the guess in case a DST change falls in between
+  return new Date(utcMidnight - zoneOffset(new Date(guess), timeZone));
+}
+
+/**
+ * Add days to a calendar date
+ * @param {String} dateStr - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add, may be negative
+ * @returns {String} - Date string
+ */
+function addDays(dateStr, days) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * The instants covering a range of calendar days in a time zone
+ * @param {String} from - First day, YYYY-MM-DD
+ * @param {String} to - Last day, YYYY-MM-DD, inclusive
+ * @param {String} timeZone - IANA time zone
+ * @returns {Object} - { start, end } with end exclusive
+ */
+function dayRangeInZone(from, to, timeZone = DEFAULT_TIME_ZONE) {
+  return {
+    start: startOfDayInZone(from, timeZone),
+    end: startOfDayInZone(addDays(to, 1), timeZone)
+  };
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  toDateStringInZone,
+  startOfDayInZone,
+  addDays,
+  dayRangeInZone
+};
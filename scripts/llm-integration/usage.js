@@ -0,0 +1,234 @@
+/**
+ * Token Usage and Cost
+ *
+ * Reads the token counts out of provider responses and prices them with a
+ * per-model price table. Usage is tallied per call into records of the shape
+ * returned by emptyUsage(), which add up per prediction, game, run and
+ * provider.
+ *
+ * Prices are USD per million tokens. The built-in table holds list prices;
+ * override or extend it with LLM_PRICING_CONFIG, or pricing.config.json in the
+ * repository root when present:
+ *
+ *   {
+ *     "models": {
+ *       "gpt-4o": { "input": 2.5, "output": 10 },
+ *       "llama3.1:8b": { "input": 0, "output": 0 }
+ *     }
+ *   }
+ *
+ * Calls to a model without a price are counted in unpricedCalls and add
+ * nothing to costUsd.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_TIME_ZONE, toDateStringInZone, dayRangeInZone } = require('./time-zones');
+require('dotenv').config();
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../../pricing.config.json');
+
+// USD per million input and output tokens
+const BUILT_IN_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
+  'grok-3-mini-fast-latest': { input: 0.6, output: 4 },
+  'grok-3-mini': { input: 0.3, output: 0.5 },
+  'deepseek-chat': { input: 0.27, output: 1.1 },
+  // The local stand-in server
+  'local-stub': { input: 0, output: 0 }
+};
+
+const USAGE_FIELDS = ['calls', 'inputTokens', 'outputTokens', 'latencyMs', 'costUsd', 'unpricedCalls'];
+
+/**
+ * Load the price table from the built-ins and the config file
+ * @param {String} configPath - Path to the JSON config file
+ * @returns {Object} - { model: { input, output } }
+ */
+function loadPrices(configPath = process.env.LLM_PRICING_CONFIG || DEFAULT_CONFIG_PATH) {
+  const resolved = path.resolve(configPath);
+  if (!fs.existsSync(resolved)) {
+    if (process.env.LLM_PRICING_CONFIG) {
+      throw new Error(`Pricing config not found: ${resolved}`);
+    }
+    return { ...BUILT_IN_PRICES };
+  }
+
+  const config = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  for (const [model, price] of Object.entries(config.models || {})) {
+    if (!Number.isFinite(price.input) || !Number.isFinite(price.output)) {
+      throw new Error(`Pricing config ${configPath} needs numeric "input" and "output" prices for ${model}`);
+    }
+  }
+  return { ...BUILT_IN_PRICES, ...config.models };
+}
+
+let prices = null;
+
+/**
+ * Get the price table, loading it on first use
+ * @returns {Object} - { model: { input, output } }
+ */
+function getPrices() {
+  if (!prices) {
+    prices = loadPrices();
+  }
+  return prices;
+}
+
+/**
+ * An empty usage record
+ * @returns {Object} - { calls, inputTokens, outputTokens, latencyMs, costUsd, unpricedCalls }
+ */
+function emptyUsage() {
+  return Object.fromEntries(USAGE_FIELDS.map(field => [field, 0]));
+}
+
+/**
+ * Read the token counts of a provider response
+ * @param {String} style - Endpoint style, "openai" or "anthropic"
+ * @param {Object} data - Response body
+ * @returns {Object} - { inputTokens, outputTokens }; zero when the response has no usage block
+ */
+function readTokens(style, data) {
+  const usage = data?.usage || {};
+  if (style === 'anthropic') {
+    return { inputTokens: usage.input_tokens || 0, outputTokens: usage.output_tokens || 0 };
+  }
+  return { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 };
+}
+
+/**
+ * Price a number of tokens for a model
+ * @param {String} model - Model name
+ * @param {Object} tokens - { inputTokens, outputTokens }
+ * @param {Object} priceTable - Price table; defaults to getPrices()
+ * @returns {number|null} - Cost in USD, or null when the model has no price
+ */
+function tokenCost(model, { inputTokens, outputTokens }, priceTable = getPrices()) {
+  const price = priceTable[model];
+  if (!price) return null;
+  return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+/**
+ * Add one provider call to a usage record
+ * @param {Object} usage - Usage record to update
+ * @param {Object} call - { model, inputTokens, outputTokens, latencyMs }
+ * @param {Object} priceTable - Price table; defaults to getPrices()
+ * @returns {Object} - The updated record
+ */
+function recordCall(usage, { model, inputTokens, outputTokens, latencyMs }, priceTable = getPrices()) {
+  const cost = tokenCost(model, { inputTokens, outputTokens }, priceTable);
+  usage.calls++;
+  usage.inputTokens += inputTokens;
+  usage.outputTokens += outputTokens;
+  usage.latencyMs += latencyMs;
+  if (cost === null) {
+    usage.unpricedCalls++;
+  } else {
+    usage.costUsd += cost;
+  }
+  return usage;
+}
+
+/**
+ * Add up usage records
+ * @param {Array<Object>} records - Usage records; missing ones are skipped
+ * @returns {Object} - Combined usage record
+ */
+function sumUsage(records) {
+  const total = emptyUsage();
+  for (const record of records) {
+    if (!record) continue;
+    for (const field of USAGE_FIELDS) {
+      total[field] += record[field] || 0;
+    }
+  }
+  return total;
+}
+
+/**
+ * Add up usage per provider over per-game entries of run reports
+ * @param {Array} games - Per-game report entries with predictions[provider].usage
+ * @returns {Object} - { provider: usage record }
+ */
+function sumUsageByProvider(games) {
+  const providers = {};
+  for (const game of games) {
+    for (const [provider, p] of Object.entries(game.predictions || {})) {
+      if (p.usage) providers[provider] = sumUsage([providers[provider], p.usage]);
+    }
+  }
+  return providers;
+}
+
+/**
+ * Check whether a game's worst-case cost fits under a run's spend cap. A game
+ * that does not fit stops the run and is counted as skipped.
+ * @param {Object} spendCap - Run report spend cap { limitUsd, stopped, gamesSkipped }
+ * @param {number} committedUsd - Cost spent so far plus the estimates held by games in flight
+ * @param {number} estimateUsd - Worst-case cost of the game
+ * @returns {boolean} - Whether the game may run
+ */
+function fitsSpendCap(spendCap, committedUsd, estimateUsd) {
+  if (committedUsd + estimateUsd <= spendCap.limitUsd) return true;
+  spendCap.stopped = true;
+  spendCap.gamesSkipped++;
+  return false;
+}
+
+/**
+ * Add up the usage of the runs in a range of Eastern days
+ * @param {Object} storage - Storage backend (see storage.js)
+ * @param {Object} options - { from, to } as YYYY-MM-DD
+ * @returns {Promise<Object>} - { from, to, runs, ...usage, providers, days, latestRun }; runs
+ *   recorded before usage was tracked count as runs but add no usage
+ */
+async function loadUsage(storage, { from, to }) {
+  const { start, end } = dayRangeInZone(from, to, DEFAULT_TIME_ZONE);
+  const runs = await storage.getRunReports(start, end);
+
+  const byDay = {};
+  for (const run of runs) {
+    const date = toDateStringInZone(new Date(run.startedAt), DEFAULT_TIME_ZONE);
+    (byDay[date] = byDay[date] || []).push(run);
+  }
+
+  const providers = {};
+  for (const run of runs) {
+    for (const [provider, usage] of Object.entries(run.usage?.providers || {})) {
+      providers[provider] = sumUsage([providers[provider], usage]);
+    }
+  }
+
+  const latest = runs[runs.length - 1];
+  return {
+    from,
+    to,
+    runs: runs.length,
+    ...sumUsage(runs.map(run => run.usage)),
+    providers,
+    days: Object.keys(byDay).sort().map(date => ({
+      date,
+      runs: byDay[date].length,
+      ...sumUsage(byDay[date].map(run => run.usage))
+    })),
+    latestRun: latest ? { startedAt: latest.startedAt, status: latest.status, usage: latest.usage || null, spendCap: latest.spendCap || null } : null
+  };
+}
+
+module.exports = {
+  loadPrices,
+  getPrices,
+  emptyUsage,
+  readTokens,
+  tokenCost,
+  recordCall,
+  sumUsage,
+  sumUsageByProvider,
+  fitsSpendCap,
+  loadUsage
+};
@@ -1,16 +1,37 @@
 const express = require('express');
 const path = require('path');
-const MongoDBService = require('./scripts/llm-integration/mongodb-service');
+const { createStorage } = require('./scripts/llm-integration/storage');
+const { buildLeaderboard } = require('./scripts/llm-integration/leaderboard');
+const { getProviders } = require('./scripts/llm-integration/providers');
+const { getTeams } = require('./scripts/llm-integration/teams');
+const { formatGame, loadSlate, loadGameHistory } = require('./scripts/llm-integration/site-data');
+const { renderGamePage } = require('./scripts/llm-integration/game-page');
+const { loadUsage } = require('./scripts/llm-integration/usage');
+const {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  toDateStringInZone,
+  addDays
+} = require('./scripts/llm-integration/time-zones');
 require('dotenv').config();
 
+// Longest date range /api/games serves in one request
+const MAX_RANGE_DAYS = 31;
+
+// Days /api/usage covers when no range is given
+const DEFAULT_USAGE_DAYS = 30;
+
+// Longest date range /api/usage adds up in one request
+const MAX_USAGE_RANGE_DAYS = 366;
+
 const app = express();
-const mongo = new MongoDBService();
+const storage = createStorage();
 
 async function init() {
-  await mongo.connect();
+  await storage.connect();
 }
 init().catch(err => {
-  console.error('Failed to connect to MongoDB:', err);
+  console.error('Failed to connect to storage:', err);
 });
 
 app.use(express.static(__dirname));
@@ -19,33 +40,36 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'index.html'));
 });
 
-
+// Games for a day or a range of days, with day boundaries in the requested time zone
 app.get('/api/games', async (req, res) => {
-  try {
-    const now = new Date();
-    // Convert to Eastern Time so games remain visible for the entire ET day
-    const easternNow = new Date(now.toLocaleString('en-US', {
-      timeZone: 'America/New_York'
-    }));
-    let games = await mongo.getPredictionsByDate(easternNow);
-
-    // Fallback to most recently updated games if none match today's date
-    if (!games.length) {
-      games = await mongo.getLatestPredictions();
-    }
+  const { date, from, to } = req.query;
+  const timeZone = req.query.tz || DEFAULT_TIME_ZONE;
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  if ([date, from, to].some(d => d && !datePattern.test(d))) {
+    return res.status(400).json({ error: 'Dates must use the YYYY-MM-DD format' });
+  }
+  if (date && (from || to)) {
+    return res.status(400).json({ error: 'Use either date or from/to, not both' });
+  }
+  if (!isValidTimeZone(timeZone)) {
+    return res.status(400).json({ error: `Unknown time zone "${timeZone}"` });
+  }
 
-    const result = games.map(g => ({
-      gameId: g.gameId,
-      gameTime: g.gameDate,
-      homeTeam: g.homeTeam,
-      awayTeam: g.awayTeam,
-      venue: g.venue,
-      predictions: ['openai', 'anthropic', 'grok', 'deepseek']
-        .filter(k => g.predictions[k])
-        .map(k => ({ source: k, text: g.predictions[k] }))
-    }));
-
-    res.json(result);
+  const today = toDateStringInZone(new Date(), timeZone);
+  const first = date || from || to || today;
+  const last = date || to || from || today;
+  if (first > last) {
+    return res.status(400).json({ error: 'from must not be after to' });
+  }
+  if (addDays(first, MAX_RANGE_DAYS - 1) < last) {
+    return res.status(400).json({ error: `Ranges are limited to ${MAX_RANGE_DAYS} days` });
+  }
+
+  try {
+    // With no dates requested and nothing on today's slate, show the latest games, but say so
+    const latestIfEmpty = !date && !from && !to;
+    res.json(await loadSlate(storage, { from: first, to: last, timeZone, latestIfEmpty }));
   } catch (err) {
     console.error('Error fetching predictions:', err);
     res.status(500).json({ error: 'Failed to fetch predictions' });
@@ -56,27 +80,116 @@ app.get('/api/games', async (req, res) => {
 app.get('/api/games/:gameId', async (req, res) => {
   try {
     const gameId = req.params.gameId;
-    const g = await mongo.getPredictions(gameId);
+    const g = await storage.getPredictions(gameId);
     if (!g) {
       return res.status(404).json({ error: 'Game not found' });
     }
-    const result = {
-      gameId: g.gameId,
-      gameTime: g.gameDate,
-      homeTeam: g.homeTeam,
-      awayTeam: g.awayTeam,
-      venue: g.venue,
-      predictions: ['openai', 'anthropic', 'grok', 'deepseek']
-        .filter(k => g.predictions[k])
-        .map(k => ({ source: k, text: g.predictions[k] }))
-    };
-    res.json(result);
+    res.json(formatGame(g));
   } catch (err) {
     console.error('Error fetching game prediction:', err);
     res.status(500).json({ error: 'Failed to fetch prediction' });
   }
 });
 
+// Shareable page for one game, with link preview metadata; build.js writes the same pages for GitHub Pages
+app.get('/games/:gameId', async (req, res) => {
+  try {
+    const g = await storage.getPredictions(req.params.gameId);
+    if (!g) {
+      return res.status(404).send('Game not found');
+    }
+    const siteUrl = process.env.SITE_URL || `${req.protocol}://${req.get('host')}`;
+    res.send(renderGamePage(formatGame(g), { siteUrl }));
+  } catch (err) {
+    console.error('Error rendering game page:', err);
+    res.status(500).send('Failed to render game page');
+  }
+});
+
+// The team registry: abbreviations, names, leagues, ballparks and logos
+app.get('/api/teams', (req, res) => {
+  res.json(getTeams());
+});
+
+// Registered LLM providers, so the UI can follow the registry
+app.get('/api/providers', (req, res) => {
+  res.json(getProviders().map(p => ({ id: p.id, displayName: p.displayName, model: p.model })));
+});
+
+// Every stored generation for a game, grouped by provider to show how picks drifted
+app.get('/api/games/:gameId/history', async (req, res) => {
+  try {
+    const history = await loadGameHistory(storage, req.params.gameId);
+    if (!history) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+    res.json(history);
+  } catch (err) {
+    console.error('Error fetching prediction history:', err);
+    res.status(500).json({ error: 'Failed to fetch prediction history' });
+  }
+});
+
+// Report of the most recent prediction update run, to check the scheduled job's health
+app.get('/api/runs/latest', async (req, res) => {
+  try {
+    const run = await storage.getLatestRun();
+    if (!run) {
+      return res.status(404).json({ error: 'No runs recorded' });
+    }
+    const { _id, ...report } = run;
+    res.json(report);
+  } catch (err) {
+    console.error('Error fetching latest run:', err);
+    res.status(500).json({ error: 'Failed to fetch latest run' });
+  }
+});
+
+// Token usage, latency and cost of the update runs, per provider and per day
+app.get('/api/usage', async (req, res) => {
+  const { from, to } = req.query;
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+    return res.status(400).json({ error: 'Dates must use the YYYY-MM-DD format' });
+  }
+
+  const last = to || toDateStringInZone(new Date(), DEFAULT_TIME_ZONE);
+  const first = from || addDays(last, 1 - DEFAULT_USAGE_DAYS);
+  if (first > last) {
+    return res.status(400).json({ error: 'from must not be after to' });
+  }
+  if (addDays(first, MAX_USAGE_RANGE_DAYS - 1) < last) {
+    return res.status(400).json({ error: `Ranges are limited to ${MAX_USAGE_RANGE_DAYS} days` });
+  }
+
+  try {
+    res.json(await loadUsage(storage, { from: first, to: last }));
+  } catch (err) {
+    console.error('Error building usage:', err);
+    res.status(500).json({ error: 'Failed to build usage' });
+  }
+});
+
+// Per-provider accuracy of graded predictions, optionally filtered
+app.get('/api/leaderboard', async (req, res) => {
+  const { from, to, team, side } = req.query;
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+    return res.status(400).json({ error: 'Dates must use the YYYY-MM-DD format' });
+  }
+  if (side && side !== 'home' && side !== 'away') {
+    return res.status(400).json({ error: 'side must be "home" or "away"' });
+  }
+
+  try {
+    const games = await storage.getGradedPredictions();
+    res.json(buildLeaderboard(games, { from, to, team, side }));
+  } catch (err) {
+    console.error('Error building leaderboard:', err);
+    res.status(500).json({ error: 'Failed to build leaderboard' });
+  }
+});
+
 //const PORT = process.env.PORT || 3000;
 //app.listen(PORT, () => {
 //  console.log(`Server listening on port ${PORT}`);
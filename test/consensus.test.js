@@ -0,0 +1,83 @@
+/**
+ * Consensus vote tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { accuracyWeights, buildConsensus } = require('../scripts/llm-integration/consensus');
+
+const GAME = {
+  awayTeam: { name: 'New York Mets', abbreviation: 'NYM' },
+  homeTeam: { name: 'Chicago Cubs', abbreviation: 'CHC' }
+};
+
+/**
+ * A parsed model pick
+ * @param {number} awayRuns - Away runs
+ * @param {number} homeRuns - Home runs
+ * @param {number|null} homeWinProbability - Home win probability
+ * @returns {Object}
+ */
+function pick(awayRuns, homeRuns, homeWinProbability = null) {
+  return {
+    winner: awayRuns > homeRuns ? 'NYM' : 'CHC',
+    awayRuns,
+    homeRuns,
+    homeWinProbability,
+    parseStatus: 'ok',
+    origin: 'model'
+  };
+}
+
+test('takes the majority pick and averages the scores', () => {
+  const consensus = buildConsensus(GAME, {
+    openai: pick(3, 5, 0.6),
+    anthropic: pick(2, 4, 0.7),
+    grok: pick(6, 1, 0.3),
+    // Baselines and unparsed answers do not vote
+    deepseek: { ...pick(9, 0), origin: 'fallback' },
+    local: { winner: null, awayRuns: 4, homeRuns: 4, parseStatus: 'tie', origin: 'model' }
+  });
+
+  assert.equal(consensus.winner, 'CHC');
+  assert.deepEqual(consensus.votes, { NYM: 1, CHC: 2 });
+  assert.deepEqual(consensus.sources, ['openai', 'anthropic', 'grok']);
+  assert.equal(consensus.agreement, 2 / 3);
+  assert.equal(consensus.split, false);
+  assert.equal(consensus.awayRuns, 3.7);
+  assert.equal(consensus.homeRuns, 3.3);
+  assert.equal(consensus.homeWinProbability, 0.533);
+});
+
+test('breaks an even split by the average score, then the average probability', () => {
+  const byScore = buildConsensus(GAME, { openai: pick(3, 6, 0.45), grok: pick(4, 2, 0.45) });
+  assert.equal(byScore.winner, 'CHC');
+  assert.equal(byScore.split, true);
+  assert.equal(byScore.agreement, 0.5);
+
+  const byProbability = buildConsensus(GAME, { openai: pick(2, 5, 0.55), grok: pick(5, 2, 0.35) });
+  assert.equal(byProbability.awayRuns, byProbability.homeRuns);
+  assert.equal(byProbability.winner, 'NYM');
+});
+
+test('lets accuracy weights decide an even split', () => {
+  const predictions = { openai: pick(3, 6, 0.7), grok: pick(4, 2, 0.45) };
+  const weights = accuracyWeights([
+    { provider: 'openai', sampleSize: 40, accuracy: 0.48 },
+    { provider: 'grok', sampleSize: 40, accuracy: 0.61 },
+    // Too few graded games to trust
+    { provider: 'anthropic', sampleSize: 5, accuracy: 0.9 }
+  ]);
+  assert.deepEqual(weights, { openai: 0.48, grok: 0.61, anthropic: 0.5 });
+
+  const consensus = buildConsensus(GAME, predictions, { weights });
+  assert.equal(consensus.winner, 'NYM');
+  assert.equal(consensus.split, true);
+  assert.equal(consensus.weighted, true);
+  assert.equal(buildConsensus(GAME, predictions).winner, 'CHC');
+});
+
+test('returns null when no model pick can vote', () => {
+  assert.equal(buildConsensus(GAME, { openai: { ...pick(3, 5), origin: 'fallback' } }), null);
+  assert.equal(buildConsensus(GAME, {}), null);
+});
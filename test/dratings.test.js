@@ -0,0 +1,143 @@
+/**
+ * Dratings parser tests against a saved copy of the predictor page
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  parseDratingsHtml,
+  DratingsLayoutError,
+  DratingsValidationError
+} = require('../scripts/llm-integration/dratings');
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures/dratings-predictor.html'), 'utf8');
+
+test('parses every game of the upcoming games table', () => {
+  const { games, headers, warnings } = parseDratingsHtml(FIXTURE);
+
+  assert.deepEqual(games.map(g => g.id), [
+    '2025-06-01-wsh-ari-1',
+    '2025-06-01-nym-chc-1',
+    '2025-06-01-cws-ath-1',
+    '2025-06-01-nym-chc-2',
+    '2025-06-01-tb-tex-1'
+  ]);
+  assert.equal(headers[0], 'Time');
+  assert.deepEqual(warnings, []);
+});
+
+test('reads teams, records, venue and start time', () => {
+  const [game] = parseDratingsHtml(FIXTURE).games;
+
+  assert.deepEqual(game.awayTeam, {
+    name: 'Washington Nationals',
+    abbreviation: 'WSH',
+    logo: '/team-logos/wsh_logo.svg',
+    record: '28-30'
+  });
+  assert.equal(game.homeTeam.abbreviation, 'ARI');
+  assert.equal(game.homeTeam.record, '27-31');
+  assert.equal(game.venue, 'Chase Field');
+  // 1:35 PM Eastern daylight time
+  assert.equal(game.gameTime, '2025-06-01T17:35:00.000Z');
+});
+
+test('resolves aliases through the team registry', () => {
+  const game = parseDratingsHtml(FIXTURE).games.find(g => g.id === '2025-06-01-cws-ath-1');
+
+  assert.equal(game.awayTeam.name, 'Chicago White Sox');
+  assert.equal(game.homeTeam.name, 'Athletics');
+  assert.equal(game.venue, 'Sutter Health Park');
+});
+
+test('numbers doubleheaders in start-time order', () => {
+  const games = parseDratingsHtml(FIXTURE).games.filter(g => g.awayTeam.abbreviation === 'NYM');
+
+  assert.deepEqual(games.map(g => g.gameNumber), [1, 2]);
+  assert.ok(new Date(games[0].gameTime) < new Date(games[1].gameTime));
+});
+
+test('places games without a start time at noon Eastern', () => {
+  const game = parseDratingsHtml(FIXTURE).games.find(g => g.id === '2025-06-01-tb-tex-1');
+
+  assert.equal(game.gameTime, '2025-06-01T16:00:00.000Z');
+});
+
+test('reads the win probability and projected runs columns', () => {
+  const [game] = parseDratingsHtml(FIXTURE).games;
+
+  assert.ok(Math.abs(game.dratings.awayWinProbability - 0.441) < 1e-9);
+  assert.ok(Math.abs(game.dratings.homeWinProbability - 0.559) < 1e-9);
+  assert.equal(game.dratings.awayRuns, 4.21);
+  assert.equal(game.dratings.homeRuns, 4.87);
+});
+
+test('skips forecasts with a warning when the forecast columns are gone', () => {
+  const html = FIXTURE.replace('<th>Win</th>', '<th>Chance</th>');
+  const { games, warnings } = parseDratingsHtml(html);
+
+  assert.equal(games.length, 5);
+  assert.ok(games.every(g => g.dratings === null));
+  assert.match(warnings[0], /Win column\(s\) not found/);
+});
+
+test('reports a layout change with a diff of the detected headers', () => {
+  const html = FIXTURE.replace('<th>Teams</th>', '<th>Matchup</th>');
+
+  assert.throws(() => parseDratingsHtml(html), error => {
+    assert.ok(error instanceof DratingsLayoutError);
+    assert.match(error.message, /layout changed/);
+    assert.deepEqual(error.missing, ['Teams']);
+    assert.ok(error.unexpected.includes('Matchup'));
+    assert.match(error.message, /^- Teams$/m);
+    assert.match(error.message, /^\+ Matchup$/m);
+    assert.equal(error.tables.length, 2);
+    return true;
+  });
+});
+
+test('reports a layout change when the page has no tables', () => {
+  assert.throws(() => parseDratingsHtml('<html><body><p>Access denied</p></body></html>'), DratingsLayoutError);
+});
+
+test('rejects rows with an unknown team', () => {
+  const html = FIXTURE.replace('>Washington Nationals</a>', '>Washington Senators</a>');
+
+  assert.throws(() => parseDratingsHtml(html), error => {
+    assert.ok(error instanceof DratingsValidationError);
+    assert.deepEqual(error.problems, ['Row 1: unknown team "Washington Senators"']);
+    return true;
+  });
+});
+
+test('rejects rows with an implausible record', () => {
+  const html = FIXTURE.replace('(35-23)', '(135-123)');
+
+  assert.throws(() => parseDratingsHtml(html), error => {
+    assert.ok(error instanceof DratingsValidationError);
+    assert.match(error.problems[0], /^Row 2: Chicago Cubs record "135-123" is not a plausible W-L$/);
+    return true;
+  });
+});
+
+test('rejects rows without a readable date', () => {
+  const html = FIXTURE.replace('<span class="ta--block">06/01/2025</span><span class="ta--block">1:35 PM</span>', 'Today 1:35 PM');
+
+  assert.throws(() => parseDratingsHtml(html), error => {
+    assert.ok(error instanceof DratingsValidationError);
+    assert.match(error.problems[0], /^Row 1: start time "Today 1:35 PM" is not a valid ISO time$/);
+    return true;
+  });
+});
+
+test('rejects rows that do not list two teams', () => {
+  const html = FIXTURE.replace('(28-30)', '');
+
+  assert.throws(() => parseDratingsHtml(html), error => {
+    assert.ok(error instanceof DratingsValidationError);
+    assert.match(error.problems[0], /^Row 1: expected two teams with records/);
+    return true;
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * File storage tests: merging predictions, history snapshots and dates on read
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStorageService = require('../scripts/llm-integration/file-storage-service');
+
+const GAME = {
+  id: '2025-06-01-nym-chc-1',
+  gameTime: '2025-06-01T18:20:00.000Z',
+  awayTeam: { name: 'New York Mets', abbreviation: 'NYM' },
+  homeTeam: { name: 'Chicago Cubs', abbreviation: 'CHC' },
+  venue: 'Wrigley Field'
+};
+
+/**
+ * A stored prediction
+ * @param {String} winner - Picked team
+ * @param {String} origin - "model" or "fallback"
+ * @returns {Object}
+ */
+function prediction(winner, origin = 'model') {
+  return { winner, parseStatus: 'ok', origin, ...(origin === 'fallback' ? { fallbackReason: 'request_failed' } : {}) };
+}
+
+/**
+ * Storage in a fresh temporary directory, removed after the test
+ * @param {Object} t - Test context
+ * @returns {Promise<FileStorageService>}
+ */
+async function tempStorage(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'almanac-storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const storage = new FileStorageService(dir);
+  assert.equal(await storage.connect(), true);
+  return storage;
+}
+
+test('merges predictions by source and snapshots every run', async (t) => {
+  const storage = await tempStorage(t);
+
+  assert.deepEqual(await storage.storePredictions(GAME, { openai: prediction('CHC'), grok: prediction('NYM') }), { success: true });
+  // A later run for one provider keeps the other's pick, and a baseline does not replace a model pick
+  await storage.storePredictions(GAME, { openai: prediction('NYM'), anthropic: prediction('CHC', 'fallback') });
+  await storage.storePredictions(GAME, { grok: prediction('CHC', 'fallback') });
+
+  const stored = await storage.getPredictions(GAME.id);
+  assert.equal(stored.predictions.openai.winner, 'NYM');
+  assert.deepEqual(stored.predictions.grok, prediction('NYM'));
+  // With no earlier pick to protect, the baseline is stored
+  assert.equal(stored.predictions.anthropic.origin, 'fallback');
+
+  const history = await storage.getPredictionHistory(GAME.id);
+  assert.deepEqual(history.map(s => s.version), [1, 2, 3]);
+  assert.equal(history[2].predictions.grok.origin, 'fallback', 'the snapshot keeps the baseline');
+});
+
+test('does not protect legacy predictions of unknown origin', async (t) => {
+  const storage = await tempStorage(t);
+  const legacy = { ...GAME, id: '2025-06-02-nym-chc-1', gameTime: '2025-06-02T18:20:00.000Z' };
+
+  // Plain strings predate origins and may have been baselines
+  await storage.storePredictions(legacy, { openai: 'New York Mets - Chicago Cubs: 4-2', grok: 'New York Mets - Chicago Cubs: 1-3' });
+  await storage.storePredictions(legacy, { openai: prediction('CHC', 'fallback'), grok: prediction('NYM') });
+
+  const stored = await storage.getPredictions(legacy.id);
+  assert.equal(stored.predictions.openai.origin, 'fallback');
+  assert.deepEqual(stored.predictions.grok, prediction('NYM'));
+});
+
+test('hands dates back as Date objects', async (t) => {
+  const storage = await tempStorage(t);
+  await storage.storePredictions(GAME, { openai: prediction('CHC') });
+
+  const stored = await storage.getPredictions(GAME.id);
+  for (const field of ['gameDate', 'createdAt', 'updatedAt']) {
+    assert.ok(stored[field] instanceof Date, `${field} is a Date`);
+  }
+  assert.equal(stored.gameDate.toISOString(), GAME.gameTime);
+
+  const between = await storage.getPredictionsBetween(new Date('2025-06-01T00:00:00Z'), new Date('2025-06-02T00:00:00Z'));
+  assert.deepEqual(between.map(g => g.gameId), [GAME.id]);
+  assert.equal(await storage.getPredictions('2025-06-02-nym-chc-1'), null);
+});
@@ -0,0 +1,125 @@
+/**
+ * Grading tests: results from Stats API games and grades for stored predictions
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractResult, gradePrediction, gradeGame, scoreProbability, summarizeCalibration } = require('../scripts/llm-integration/grading');
+
+const GAME = {
+  gameId: '2025-06-01-nym-chc-1',
+  awayTeam: { name: 'New York Mets', abbreviation: 'NYM' },
+  homeTeam: { name: 'Chicago Cubs', abbreviation: 'CHC' }
+};
+
+/**
+ * A schedule game as the Stats API returns it
+ * @param {String} state - abstractGameState
+ * @param {number|undefined} awayScore - Away runs
+ * @param {number|undefined} homeScore - Home runs
+ * @returns {Object}
+ */
+function statsGame(state, awayScore, homeScore) {
+  return {
+    status: { abstractGameState: state },
+    teams: { away: { score: awayScore }, home: { score: homeScore } }
+  };
+}
+
+test('reads final scores and treats a scoreless "Final" as postponed', () => {
+  assert.equal(extractResult(statsGame('Live', 1, 0)), null);
+  assert.deepEqual(extractResult(statsGame('Final', 2, 5)), { status: 'final', awayRuns: 2, homeRuns: 5 });
+  assert.deepEqual(extractResult(statsGame('Final')), { status: 'postponed', awayRuns: null, homeRuns: null });
+});
+
+test('grades a home win', () => {
+  const grade = gradePrediction(
+    { winner: 'CHC', awayRuns: 3, homeRuns: 5, homeWinProbability: 0.6 },
+    { awayRuns: 2, homeRuns: 4 },
+    GAME
+  );
+
+  assert.equal(grade.correct, true);
+  assert.equal(grade.awayRunError, 1);
+  assert.equal(grade.homeRunError, 1);
+  assert.equal(grade.homeWon, true);
+});
+
+test('grades an away win', () => {
+  const grade = gradePrediction(
+    { winner: 'CHC', awayRuns: 3, homeRuns: 5, homeWinProbability: 0.6 },
+    { awayRuns: 7, homeRuns: 1 },
+    GAME
+  );
+
+  assert.equal(grade.correct, false);
+  assert.equal(grade.awayRunError, 4);
+  assert.equal(grade.homeRunError, 4);
+  assert.equal(grade.homeWon, false);
+});
+
+test('skips predictions without a parsed winner', () => {
+  const result = { awayRuns: 2, homeRuns: 4 };
+  assert.equal(gradePrediction({ winner: null, parseStatus: 'tie', awayRuns: 3, homeRuns: 3 }, result, GAME), null);
+  assert.equal(gradePrediction(null, result, GAME), null);
+
+  const grades = gradeGame({
+    ...GAME,
+    predictions: {
+      openai: { winner: 'CHC', awayRuns: 3, homeRuns: 5, homeWinProbability: 0.6, parseStatus: 'ok' },
+      grok: { winner: null, parseStatus: 'invalid_format' },
+      // Stored before predictions were parsed
+      deepseek: 'New York Mets - Chicago Cubs: 4-2\nThe Mets have the better starter.'
+    }
+  }, result);
+
+  assert.deepEqual(Object.keys(grades).sort(), ['deepseek', 'openai']);
+  assert.equal(grades.deepseek.correct, false);
+});
+
+test('scores probabilities with Brier and log loss', () => {
+  const hit = scoreProbability(0.7, true);
+  assert.ok(Math.abs(hit.brier - 0.09) < 1e-12);
+  assert.ok(Math.abs(hit.logLoss - 0.356675) < 1e-6);
+
+  const miss = scoreProbability(0.7, false);
+  assert.ok(Math.abs(miss.brier - 0.49) < 1e-12);
+  assert.ok(Math.abs(miss.logLoss - 1.203973) < 1e-6);
+
+  assert.deepEqual(scoreProbability(null, true), { homeWinProbability: null, homeWon: true, brier: null, logLoss: null });
+});
+
+test('keeps log loss finite for certain predictions', () => {
+  // Certain misses cost -ln(1e-6) rather than infinity
+  for (const [p, homeWon] of [[0, true], [1, false]]) {
+    const score = scoreProbability(p, homeWon);
+    assert.equal(score.brier, 1);
+    assert.ok(Math.abs(score.logLoss - 13.815511) < 1e-6);
+  }
+  // Certain hits cost almost nothing
+  for (const [p, homeWon] of [[1, true], [0, false]]) {
+    const score = scoreProbability(p, homeWon);
+    assert.equal(score.brier, 0);
+    assert.ok(score.logLoss < 1e-5);
+  }
+});
+
+test('summarizes calibration into reliability buckets', () => {
+  const summary = summarizeCalibration([
+    scoreProbability(0.65, true),
+    scoreProbability(0.62, false),
+    // 100% belongs in the top bucket
+    scoreProbability(1, true),
+    scoreProbability(null, true),
+    null
+  ]);
+
+  assert.equal(summary.sampleSize, 3);
+  assert.ok(Math.abs(summary.brier - (0.1225 + 0.3844 + 0) / 3) < 1e-12);
+  assert.equal(summary.buckets.length, 10);
+  assert.deepEqual(
+    summary.buckets.filter(b => b.count).map(b => [b.lower, b.count, Number(b.avgPredicted.toFixed(3)), b.observedRate]),
+    [[0.6, 2, 0.635, 0.5], [0.9, 1, 1, 1]]
+  );
+  assert.equal(summarizeCalibration([]).brier, null);
+});
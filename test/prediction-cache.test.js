@@ -0,0 +1,61 @@
+/**
+ * Prediction reuse tests: when an unchanged input skips the provider call
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { canReusePrediction } = require('../scripts/llm-integration/prediction-cache');
+const LLMPredictionService = require('../scripts/llm-integration/llm-prediction-service');
+
+const NOW = Date.parse('2025-06-01T18:00:00Z');
+const HASH = 'a'.repeat(64);
+const STORED = { origin: 'model', inputHash: HASH, generatedAt: '2025-06-01T12:00:00.000Z', winner: 'CHC' };
+
+test('reuses a model pick with the same hash inside the maximum age', () => {
+  assert.equal(canReusePrediction(STORED, HASH, { maxAgeHours: 24, now: NOW }), true);
+});
+
+test('asks again when forced, changed, expired, a baseline or undated', () => {
+  const options = { maxAgeHours: 24, now: NOW };
+
+  assert.equal(canReusePrediction(STORED, HASH, { ...options, force: true }), false);
+  assert.equal(canReusePrediction(STORED, 'b'.repeat(64), options), false);
+  assert.equal(canReusePrediction(STORED, HASH, { ...options, maxAgeHours: 6 }), false);
+  assert.equal(canReusePrediction(STORED, HASH, { ...options, maxAgeHours: 0 }), false);
+  assert.equal(canReusePrediction({ ...STORED, origin: 'fallback' }, HASH, options), false);
+  assert.equal(canReusePrediction({ ...STORED, generatedAt: undefined }, HASH, options), false);
+  assert.equal(canReusePrediction({ ...STORED, inputHash: undefined }, undefined, options), false);
+  assert.equal(canReusePrediction('New York Mets - Chicago Cubs: 3-5', HASH, options), false);
+  assert.equal(canReusePrediction(null, HASH, options), false);
+});
+
+test('input hashes ignore when the context was built but not what it says', () => {
+  const provider = {
+    id: 'local',
+    displayName: 'Local',
+    style: 'openai',
+    endpoint: 'http://localhost:8080/v1/chat/completions',
+    model: 'local-stub',
+    jsonFormat: 'instructions',
+    maxTokens: 400
+  };
+  const service = new LLMPredictionService({}, [provider], { prompt: 'standard-v5', outputMode: 'json' });
+  const pitcher = { name: 'Kodai Senga', wins: 6, losses: 3, era: '1.47', whip: '1.06', inningsPitched: '73.1', strikeOuts: 69 };
+  const game = {
+    id: '2025-06-01-nym-chc-1',
+    homeTeam: { name: 'Chicago Cubs', abbreviation: 'CHC', record: '36-22' },
+    awayTeam: { name: 'New York Mets', abbreviation: 'NYM', record: '35-24' },
+    gameTime: '2025-06-01T18:20:00.000Z',
+    venue: 'Wrigley Field',
+    context: { builtAt: '2025-06-01T06:00:00.000Z', probablePitchers: { away: pitcher, home: null } }
+  };
+
+  const hash = service.inputHash(provider, game);
+  const rebuilt = { ...game, context: { ...game.context, builtAt: '2025-06-01T12:00:00.000Z' } };
+  assert.equal(service.inputHash(provider, rebuilt), hash);
+
+  const newStarter = { ...game, context: { ...game.context, probablePitchers: { away: pitcher, home: { ...pitcher, name: 'Shota Imanaga' } } } };
+  assert.notEqual(service.inputHash(provider, newStarter), hash);
+  assert.notEqual(service.inputHash(provider, { ...game, awayTeam: { ...game.awayTeam, record: '36-24' } }), hash);
+  assert.notEqual(service.inputHash(provider, game, 'pitching-v1'), hash);
+});
@@ -0,0 +1,65 @@
+/**
+ * Prediction parser tests against sample provider replies
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePrediction, matchesTeam, PARSE_STATUS } = require('../scripts/llm-integration/prediction-parser');
+
+const GAME = {
+  awayTeam: { name: 'New York Mets', abbreviation: 'NYM' },
+  homeTeam: { name: 'Chicago Cubs', abbreviation: 'CHC' }
+};
+
+test('reads the score, winner and probability of a well-formed reply', () => {
+  const p = parsePrediction([
+    '**New York Mets - Chicago Cubs: 3-5**',
+    'Chicago Cubs win probability: 62%',
+    'Cubs have the better bullpen and home field.'
+  ].join('\n'), GAME);
+
+  assert.equal(p.parseStatus, PARSE_STATUS.OK);
+  assert.equal(p.winner, 'CHC');
+  assert.deepEqual([p.awayRuns, p.homeRuns], [3, 5]);
+  assert.equal(p.homeWinProbability, 0.62);
+  assert.equal(p.rationale, 'Cubs have the better bullpen and home field.');
+});
+
+test('matches nicknames and abbreviations', () => {
+  assert.equal(matchesTeam('Mets', GAME.awayTeam), true);
+  assert.equal(matchesTeam('chc', GAME.homeTeam), true);
+  assert.equal(matchesTeam('Yankees', GAME.awayTeam), false);
+
+  const p = parsePrediction('1. Mets - CHC: 6-2\nNew York Mets win probability: 70%', GAME);
+  assert.equal(p.parseStatus, PARSE_STATUS.OK);
+  assert.equal(p.winner, 'NYM');
+  // An away team's chance is turned into the home team's
+  assert.equal(p.homeWinProbability, 0.3);
+});
+
+test('keeps each score with its team when the order is reversed', () => {
+  const p = parsePrediction('Chicago Cubs - New York Mets: 4-7\nChicago Cubs win probability: 40%', GAME);
+
+  assert.equal(p.parseStatus, PARSE_STATUS.OK);
+  assert.deepEqual([p.awayRuns, p.homeRuns], [7, 4]);
+  assert.equal(p.winner, 'NYM');
+});
+
+test('parses a reply without a probability line', () => {
+  const p = parsePrediction('New York Mets - Chicago Cubs: 2-4\nThe Cubs starter has been sharp.', GAME);
+
+  assert.equal(p.parseStatus, PARSE_STATUS.OK);
+  assert.equal(p.winner, 'CHC');
+  assert.equal(p.homeWinProbability, null);
+});
+
+test('flags ties, unknown teams and replies without a score line', () => {
+  const tie = parsePrediction('New York Mets - Chicago Cubs: 4-4', GAME);
+  assert.equal(tie.parseStatus, PARSE_STATUS.TIE);
+  assert.equal(tie.winner, null);
+  assert.deepEqual([tie.awayRuns, tie.homeRuns], [4, 4]);
+
+  assert.equal(parsePrediction('Boston Red Sox - Chicago Cubs: 1-3', GAME).parseStatus, PARSE_STATUS.TEAM_MISMATCH);
+  assert.equal(parsePrediction('I think the Cubs win comfortably.', GAME).parseStatus, PARSE_STATUS.INVALID_FORMAT);
+  assert.equal(parsePrediction('   ', GAME).parseStatus, PARSE_STATUS.EMPTY);
+});
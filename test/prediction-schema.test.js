@@ -0,0 +1,51 @@
+/**
+ * Structured prediction validation tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  toResponseSchema,
+  validatePrediction,
+  parseJsonReply
+} = require('../scripts/llm-integration/prediction-schema');
+
+const VALID = { awayRuns: 3, homeRuns: 5, homeWinProbability: 0.58, rationale: 'Cubs have the better rotation.' };
+
+test('accepts a valid prediction, with or without a code fence', () => {
+  assert.deepEqual(validatePrediction(VALID), []);
+  assert.deepEqual(parseJsonReply('```json\n' + JSON.stringify(VALID) + '\n```'), { value: VALID, problems: [] });
+});
+
+test('reports every schema problem', () => {
+  const problems = validatePrediction({ awayRuns: 2.5, homeRuns: -1, homeWinProbability: 58, rationale: ' ', extra: true });
+
+  assert.deepEqual(problems, [
+    'prediction.awayRuns must be an integer',
+    'prediction.homeRuns must be at least 0',
+    'prediction.homeWinProbability must be at most 1',
+    'prediction.rationale must not be empty',
+    'prediction.extra is not allowed'
+  ]);
+  assert.deepEqual(validatePrediction({ awayRuns: 3 }), [
+    'prediction.homeRuns is missing',
+    'prediction.homeWinProbability is missing',
+    'prediction.rationale is missing'
+  ]);
+});
+
+test('rejects tied scores and replies that are not JSON', () => {
+  assert.deepEqual(validatePrediction({ ...VALID, homeRuns: 3 }), ['prediction.awayRuns and prediction.homeRuns must differ']);
+
+  const { value, problems } = parseJsonReply('New York Mets - Chicago Cubs: 3-5');
+  assert.equal(value, undefined);
+  assert.match(problems[0], /^reply is not valid JSON/);
+});
+
+test('leaves range keywords out of the schema sent to providers', () => {
+  const schema = toResponseSchema();
+
+  assert.deepEqual(schema.properties.homeWinProbability, { type: 'number', description: 'Chance the home team wins, from 0 to 1' });
+  assert.deepEqual(schema.required, ['awayRuns', 'homeRuns', 'homeWinProbability', 'rationale']);
+  assert.equal(schema.additionalProperties, false);
+});
@@ -0,0 +1,73 @@
+/**
+ * Prompt template and experiment assignment tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getTemplates, getTemplate, renderTemplate } = require('../scripts/llm-integration/prompt-templates');
+const { assignPrompt, loadExperiment } = require('../scripts/llm-integration/prompt-experiment');
+
+test('every template in prompts/ loads with a system message', () => {
+  const templates = getTemplates();
+
+  assert.ok(templates.some(t => t.id === 'standard-v5'));
+  for (const template of templates) {
+    assert.ok(template.system, `${template.id} has a system message`);
+    assert.match(template.body, /\{\{answerFormat\}\}/);
+  }
+});
+
+test('fills in placeholders and rejects unknown templates', () => {
+  const prompt = renderTemplate(getTemplate('standard-v5'), {
+    homeTeam: 'Chicago Cubs',
+    homeRecord: '36-22',
+    awayTeam: 'New York Mets',
+    awayRecord: '35-24',
+    gameTime: '2025-06-01T18:20:00.000Z',
+    venue: 'Wrigley Field',
+    context: '',
+    answerFormat: 'Answer here.'
+  });
+
+  assert.match(prompt, /- Home Team: Chicago Cubs \(36-22\)/);
+  assert.match(prompt, /Answer here\./);
+  assert.doesNotMatch(prompt, /\{\{/);
+  assert.throws(() => getTemplate('standard-v99'), /Unknown prompt template "standard-v99"/);
+});
+
+test('experiments assign variants deterministically', () => {
+  const experiment = { name: 'pitching-first', unit: 'game', variants: ['standard-v5', 'pitching-v1'], providers: { deepseek: 'standard-v5' } };
+  const gameIds = Array.from({ length: 20 }, (_, i) => `2025-06-${String(i + 1).padStart(2, '0')}-nym-chc-1`);
+
+  const first = gameIds.map(gameId => assignPrompt(experiment, { gameId, providerId: 'openai' }));
+  const again = gameIds.map(gameId => assignPrompt(experiment, { gameId, providerId: 'grok' }));
+  assert.deepEqual(again, first, 'every provider gets the same variant for a game');
+  assert.deepEqual(new Set(first), new Set(experiment.variants));
+  assert.equal(assignPrompt(experiment, { gameId: gameIds[0], providerId: 'deepseek' }), 'standard-v5');
+});
+
+test('rejects experiment configs with bad variants or provider overrides', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'almanac-experiment-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const load = (name, config, providerIds) => {
+    const file = path.join(dir, `${name}.json`);
+    fs.writeFileSync(file, JSON.stringify(config));
+    return () => loadExperiment(file, providerIds);
+  };
+  const base = { name: 'pitching-first', unit: 'game', variants: ['standard-v5', 'pitching-v1'] };
+
+  assert.deepEqual(load('ok', base)().providers, {});
+  assert.throws(load('null-providers', { ...base, providers: null }), /"providers" must be an object/);
+  assert.throws(load('list-providers', { ...base, providers: ['standard-v5'] }), /"providers" must be an object/);
+  assert.throws(load('numeric-override', { ...base, providers: { grok: 5 } }), /map each provider to a template id/);
+  assert.throws(load('duplicate', { ...base, variants: ['standard-v5', 'standard-v5'] }), /distinct template ids/);
+  assert.throws(load('unknown', { ...base, providers: { grok: 'standard-v99' } }), /Unknown prompt template/);
+
+  // Override keys are checked against the registered providers
+  const providerIds = ['openai', 'deepseek'];
+  assert.deepEqual(load('known-provider', { ...base, providers: { deepseek: 'standard-v5' } }, providerIds)().providers, { deepseek: 'standard-v5' });
+  assert.throws(load('misspelled-provider', { ...base, providers: { deepseak: 'standard-v5' } }, providerIds), /unknown provider\(s\): deepseak/);
+});
@@ -0,0 +1,83 @@
+/**
+ * Request scheduler tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RequestScheduler, CircuitOpenError, readRetryAfter } = require('../scripts/llm-integration/request-scheduler');
+
+/**
+ * An error shaped like an axios HTTP error
+ * @param {number} status - Response status
+ * @param {Object} headers - Response headers
+ * @returns {Error}
+ */
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+test('reads Retry-After as seconds or an HTTP date', () => {
+  const now = Date.parse('2025-06-01T18:00:00Z');
+  assert.equal(readRetryAfter(httpError(429, { 'retry-after': '2' }), now), 2000);
+  assert.equal(readRetryAfter(httpError(429, { 'retry-after': 'Sun, 01 Jun 2025 18:00:05 GMT' }), now), 5000);
+  assert.equal(readRetryAfter(httpError(429), now), null);
+});
+
+test('retries a rate-limited request after its Retry-After', async () => {
+  const scheduler = new RequestScheduler([{ id: 'openai', maxConcurrent: 1, requestsPerMinute: 6000 }], { baseDelayMs: 5 });
+  let calls = 0;
+  const startedAt = Date.now();
+
+  const result = await scheduler.run('openai', async () => {
+    calls++;
+    if (calls === 1) throw httpError(429, { 'retry-after': '0.05' });
+    return 'ok';
+  });
+
+  assert.equal(result, 'ok');
+  assert.ok(Date.now() - startedAt >= 45, 'waited for Retry-After');
+  const { requests, retries, rateLimited } = scheduler.summary().openai;
+  assert.deepEqual({ requests, retries, rateLimited }, { requests: 2, retries: 1, rateLimited: 1 });
+});
+
+test('pauses a failing provider for the rest of the run and leaves the others alone', async () => {
+  const scheduler = new RequestScheduler(
+    [{ id: 'grok' }, { id: 'deepseek' }],
+    { baseDelayMs: 1, failureThreshold: 3 }
+  );
+  const down = async () => { throw httpError(503); };
+
+  await assert.rejects(scheduler.run('grok', down), /503/);
+  await assert.rejects(scheduler.run('grok', down), CircuitOpenError);
+  assert.equal(await scheduler.run('deepseek', async () => 'ok'), 'ok');
+
+  const summary = scheduler.summary();
+  assert.equal(summary.grok.paused, true);
+  assert.equal(summary.grok.requests, 3, 'no requests once the circuit is open');
+  assert.equal(summary.deepseek.paused, false);
+});
+
+test('does not retry client errors or count them toward the breaker', async () => {
+  const scheduler = new RequestScheduler([{ id: 'anthropic' }], { failureThreshold: 1 });
+
+  await assert.rejects(scheduler.run('anthropic', async () => { throw httpError(400); }), /400/);
+  assert.equal(scheduler.summary().anthropic.requests, 1);
+  assert.equal(scheduler.isOpen('anthropic'), false);
+});
+
+test('keeps each provider within its concurrency limit', async () => {
+  const scheduler = new RequestScheduler([{ id: 'local', maxConcurrent: 2, requestsPerMinute: 60000 }]);
+  let active = 0;
+  let peak = 0;
+  const call = async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    active--;
+  };
+
+  await Promise.all(Array.from({ length: 6 }, () => scheduler.run('local', call)));
+  assert.equal(peak, 2);
+});
@@ -0,0 +1,65 @@
+/**
+ * Time zone day boundary tests, and the /api/games checks built on them
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  isValidTimeZone,
+  startOfDayInZone,
+  dayRangeInZone,
+  toDateStringInZone
+} = require('../scripts/llm-integration/time-zones');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test('a spring-forward day in New York is 23 hours long', () => {
+  const { start, end } = dayRangeInZone('2025-03-09', '2025-03-09', 'America/New_York');
+
+  assert.equal(start.toISOString(), '2025-03-09T05:00:00.000Z');
+  assert.equal(end.toISOString(), '2025-03-10T04:00:00.000Z');
+  assert.equal(end - start, 23 * HOUR_MS);
+});
+
+test('finds midnight ahead of UTC and at UTC', () => {
+  assert.equal(startOfDayInZone('2025-06-01', 'Asia/Tokyo').toISOString(), '2025-05-31T15:00:00.000Z');
+  assert.equal(startOfDayInZone('2025-06-01', 'UTC').toISOString(), '2025-06-01T00:00:00.000Z');
+  assert.equal(toDateStringInZone(new Date('2025-05-31T15:30:00Z'), 'Asia/Tokyo'), '2025-06-01');
+
+  const { start, end } = dayRangeInZone('2025-06-01', '2025-06-03', 'Asia/Tokyo');
+  assert.equal(end - start, 3 * 24 * HOUR_MS);
+});
+
+test('rejects unknown time zones', () => {
+  assert.equal(isValidTimeZone('America/Chicago'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+});
+
+test('/api/games checks the time zone and caps ranges at 31 days', async (t) => {
+  // The server opens its storage on load, so point it at an empty directory
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'almanac-'));
+  process.env.STORAGE_BACKEND = 'file';
+  process.env.LOCAL_STORAGE_DIR = dir;
+  const app = require('../server');
+  const server = app.listen(0);
+  t.after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  await new Promise(resolve => server.once('listening', resolve));
+  const get = url => fetch(`http://127.0.0.1:${server.address().port}${url}`);
+
+  const badZone = await get('/api/games?date=2025-06-01&tz=Mars/Olympus_Mons');
+  assert.equal(badZone.status, 400);
+  assert.match((await badZone.json()).error, /Unknown time zone/);
+
+  const tooLong = await get('/api/games?from=2025-06-01&to=2025-07-02');
+  assert.equal(tooLong.status, 400);
+  assert.match((await tooLong.json()).error, /31 days/);
+
+  const longest = await get('/api/games?from=2025-06-01&to=2025-07-01&tz=Asia/Tokyo');
+  assert.equal(longest.status, 200);
+});
@@ -0,0 +1,152 @@
+/**
+ * Usage tests: pricing calls, adding up usage, the spend cap and /api/usage
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadPrices,
+  emptyUsage,
+  recordCall,
+  sumUsage,
+  sumUsageByProvider,
+  fitsSpendCap,
+  loadUsage
+} = require('../scripts/llm-integration/usage');
+const FileStorageService = require('../scripts/llm-integration/file-storage-service');
+
+const PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'deepseek-chat': { input: 0.27, output: 1.1 }
+};
+
+/**
+ * A usage record with one call
+ * @param {String} model - Model name
+ * @param {number} inputTokens - Prompt tokens
+ * @param {number} outputTokens - Reply tokens
+ * @returns {Object}
+ */
+function call(model, inputTokens, outputTokens) {
+  return recordCall(emptyUsage(), { model, inputTokens, outputTokens, latencyMs: 100 }, PRICES);
+}
+
+/**
+ * A temporary directory, removed after the test
+ * @param {Object} t - Test context
+ * @returns {String}
+ */
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'almanac-usage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('prices calls from the price table', () => {
+  const usage = recordCall(call('gpt-4o', 1000, 500), { model: 'gpt-4o', inputTokens: 2000, outputTokens: 0, latencyMs: 50 }, PRICES);
+
+  assert.equal(usage.calls, 2);
+  assert.equal(usage.inputTokens, 3000);
+  assert.equal(usage.outputTokens, 500);
+  assert.equal(usage.latencyMs, 150);
+  assert.ok(Math.abs(usage.costUsd - (0.0075 + 0.005)) < 1e-12);
+  assert.equal(usage.unpricedCalls, 0);
+});
+
+test('counts calls to a model without a price but adds no cost', () => {
+  const usage = call('llama3.1:8b', 1000, 500);
+
+  assert.equal(usage.calls, 1);
+  assert.equal(usage.inputTokens, 1000);
+  assert.equal(usage.costUsd, 0);
+  assert.equal(usage.unpricedCalls, 1);
+});
+
+test('adds up usage per game and per provider', () => {
+  const games = [
+    { predictions: { openai: { usage: call('gpt-4o', 1000, 500) }, deepseek: { usage: call('deepseek-chat', 1000, 1000) } } },
+    // Reused predictions made no calls
+    { predictions: { openai: { usage: call('gpt-4o', 1000, 500) }, deepseek: { reused: true } } }
+  ];
+
+  const providers = sumUsageByProvider(games);
+  assert.deepEqual(Object.keys(providers).sort(), ['deepseek', 'openai']);
+  assert.equal(providers.openai.calls, 2);
+  assert.ok(Math.abs(providers.openai.costUsd - 0.015) < 1e-12);
+  assert.ok(Math.abs(providers.deepseek.costUsd - 0.00137) < 1e-12);
+
+  const total = sumUsage([...Object.values(providers), null]);
+  assert.equal(total.calls, 3);
+  assert.equal(total.outputTokens, 2000);
+});
+
+test('overrides and extends the built-in prices from a config file', (t) => {
+  const configPath = path.join(tempDir(t), 'pricing.config.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    models: { 'gpt-4o': { input: 1, output: 2 }, 'llama3.1:8b': { input: 0, output: 0 } }
+  }));
+
+  const prices = loadPrices(configPath);
+  assert.deepEqual(prices['gpt-4o'], { input: 1, output: 2 });
+  assert.deepEqual(prices['llama3.1:8b'], { input: 0, output: 0 });
+  assert.deepEqual(prices['deepseek-chat'], { input: 0.27, output: 1.1 });
+
+  fs.writeFileSync(configPath, JSON.stringify({ models: { 'gpt-4o': { input: '1' } } }));
+  assert.throws(() => loadPrices(configPath), /numeric "input" and "output" prices for gpt-4o/);
+});
+
+test('stops before a game whose worst case would pass the spend cap', () => {
+  const spendCap = { limitUsd: 1, spentUsd: 0, stopped: false, gamesSkipped: 0 };
+
+  // Exactly reaching the cap is allowed
+  assert.equal(fitsSpendCap(spendCap, 0.5, 0.5), true);
+  assert.equal(spendCap.stopped, false);
+
+  assert.equal(fitsSpendCap(spendCap, 0.6, 0.5), false);
+  assert.equal(spendCap.stopped, true);
+  assert.equal(spendCap.gamesSkipped, 1);
+});
+
+test('adds up stored runs per day and per provider', async (t) => {
+  const storage = new FileStorageService(tempDir(t));
+  assert.equal(await storage.connect(), true);
+
+  const usage = call('gpt-4o', 1000, 500);
+  const run = (startedAt, report) => ({ startedAt: new Date(startedAt), status: 'success', ...report });
+  await storage.storeRunReport(run('2025-06-01T14:00:00Z', { usage: { ...usage, providers: { openai: usage } } }));
+  await storage.storeRunReport(run('2025-06-01T20:00:00Z', { usage: { ...usage, providers: { openai: usage } } }));
+  // Recorded before usage was tracked
+  await storage.storeRunReport(run('2025-06-02T14:00:00Z', {}));
+  // Outside the range
+  await storage.storeRunReport(run('2025-06-04T14:00:00Z', { usage: { ...usage, providers: { openai: usage } } }));
+
+  const summary = await loadUsage(storage, { from: '2025-06-01', to: '2025-06-03' });
+  assert.equal(summary.runs, 3);
+  assert.equal(summary.calls, 2);
+  assert.ok(Math.abs(summary.costUsd - 0.015) < 1e-12);
+  assert.equal(summary.providers.openai.calls, 2);
+  assert.deepEqual(summary.days.map(d => [d.date, d.runs, d.calls]), [['2025-06-01', 2, 2], ['2025-06-02', 1, 0]]);
+  assert.equal(summary.latestRun.usage, null);
+});
+
+test('/api/usage caps ranges at 366 days', async (t) => {
+  // The server opens its storage on load, so point it at an empty directory
+  process.env.STORAGE_BACKEND = 'file';
+  process.env.LOCAL_STORAGE_DIR = tempDir(t);
+  const app = require('../server');
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise(resolve => server.once('listening', resolve));
+  const get = url => fetch(`http://127.0.0.1:${server.address().port}${url}`);
+
+  const tooLong = await get('/api/usage?from=1970-01-01&to=2025-06-01');
+  assert.equal(tooLong.status, 400);
+  assert.match((await tooLong.json()).error, /366 days/);
+
+  const longest = await get('/api/usage?from=2024-06-01&to=2025-06-01');
+  assert.equal(longest.status, 200);
+  assert.equal((await longest.json()).runs, 0);
+});